@@ -22,7 +22,8 @@ async function initializeDatabase() {
       username: 'testuser',
       email: 'test@example.com',
       password: hashedPassword,
-      is_active: true
+      is_active: true,
+      email_verified_at: new Date()
     });
     console.log('✅ Test user created:', testUser.toJSON());
 
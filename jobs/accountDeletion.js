@@ -0,0 +1,66 @@
+const { findAccountsDueForDeletion, purgeAccount } = require('../utils/accountDeletion');
+
+// How often the scheduler looks for accounts past their grace period (default: hourly)
+const INTERVAL_MS = parseInt(process.env.ACCOUNT_DELETION_INTERVAL_MINUTES || '60', 10) * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+// Delete every account whose grace period has ended
+const runAccountDeletions = async (asOf = new Date()) => {
+  if (running) {
+    return 0;
+  }
+  running = true;
+
+  try {
+    const users = await findAccountsDueForDeletion(asOf);
+
+    let deleted = 0;
+    for (const user of users) {
+      try {
+        const counts = await purgeAccount(user.id);
+        deleted += 1;
+        console.log(
+          `Deleted account ${user.id}: ${counts.expenses} expense(s), ${counts.budgets} budget(s), ` +
+          `${counts.documents} document(s), ${counts.teamMembers} team record(s)`
+        );
+      } catch (error) {
+        console.error(`Error deleting account ${user.id}:`, error.message);
+      }
+    }
+
+    return deleted;
+  } finally {
+    running = false;
+  }
+};
+
+// Start the in-process scheduler: one run now, then every INTERVAL_MS
+const startAccountDeletionScheduler = () => {
+  if (timer) {
+    return;
+  }
+
+  const tick = () => runAccountDeletions().catch(error => {
+    console.error('❌ Account deletion scheduler error:', error.message);
+  });
+
+  tick();
+  timer = setInterval(tick, INTERVAL_MS);
+  timer.unref();
+  console.log(`⏰ Account deletion scheduler running every ${INTERVAL_MS / 60000} minutes`);
+};
+
+const stopAccountDeletionScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  runAccountDeletions,
+  startAccountDeletionScheduler,
+  stopAccountDeletionScheduler
+};
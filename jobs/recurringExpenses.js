@@ -0,0 +1,170 @@
+const { Op } = require('sequelize');
+const { Expense, RecurringExpense, User, sequelize } = require('../models');
+const { getOccurrencesBetween } = require('../utils/recurrence');
+const { parseDateOnly, formatDateOnly } = require('../utils/periods');
+const { notify } = require('../utils/notifications');
+
+// How often the scheduler looks for due occurrences (default: hourly)
+const INTERVAL_MS = parseInt(process.env.RECURRING_INTERVAL_MINUTES || '60', 10) * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+const toDateString = (value) => (value ? formatDateOnly(parseDateOnly(value)) : null);
+
+const today = () => toDateString(new Date());
+
+const dayAfter = (date) => formatDateOnly(new Date(parseDateOnly(date).getTime() + DAY_MS));
+
+/**
+ * Create the Expense rows for every occurrence of a template that is due
+ * and has not been generated yet. Safe to run repeatedly: the unique
+ * (recurring_expense_id, date) index drops anything already created.
+ *
+ * @returns {Promise<string[]>} Dates of the occurrences that were due
+ */
+const materializeTemplate = async (template, asOf = today()) => {
+  if (!template.isActive) {
+    return [];
+  }
+
+  const startDate = toDateString(template.startDate);
+  const endDate = toDateString(template.endDate);
+  const from = template.lastGeneratedDate ? dayAfter(template.lastGeneratedDate) : startDate;
+  const until = endDate && endDate < asOf ? endDate : asOf;
+
+  if (from > until) {
+    return [];
+  }
+
+  const skipped = new Set(template.skippedDates || []);
+  const rule = {
+    frequency: template.frequency,
+    dayOfMonth: template.dayOfMonth,
+    startDate,
+    endDate
+  };
+  const dates = getOccurrencesBetween(rule, from, until).filter(date => !skipped.has(date));
+
+  await sequelize.transaction(async (transaction) => {
+    if (dates.length > 0) {
+      await Expense.bulkCreate(dates.map(date => ({
+        user_id: template.userId,
+        recurring_expense_id: template.id,
+        amount: template.amount,
+        currency: template.currency,
+        category: template.category,
+        category_id: template.categoryId,
+        notes: template.notes,
+        date
+      })), { transaction, ignoreDuplicates: true });
+    }
+
+    await template.update({ lastGeneratedDate: until }, { transaction });
+  });
+
+  if (dates.length > 0) {
+    console.log(`Recurring expense ${template.id}: generated ${dates.length} expense(s)`);
+  }
+
+  return dates;
+};
+
+// Let the owner know a template posted expenses. Keyed on the last date so
+// a re-run never repeats the notification.
+const notifyPosted = async (template, dates) => {
+  const user = await User.findByPk(template.userId, { attributes: ['id', 'name', 'email'] });
+  if (!user) {
+    return;
+  }
+
+  const total = Math.round(template.amount * dates.length * 100) / 100;
+  const label = template.notes || template.category;
+
+  await notify(user, {
+    type: 'recurring_posted',
+    title: `Recurring expense posted: ${label}`,
+    message: dates.length === 1
+      ? `Added ${template.amount} ${template.currency} for ${label} on ${dates[0]}.`
+      : `Added ${dates.length} expenses for ${label} (${total} ${template.currency}) ` +
+        `from ${dates[0]} to ${dates[dates.length - 1]}.`,
+    data: {
+      recurringExpenseId: template.id,
+      dates,
+      amount: template.amount,
+      total,
+      currency: template.currency
+    },
+    dedupeKey: `recurring:${template.id}:${dates[dates.length - 1]}`
+  });
+};
+
+// Materialize due occurrences for every active template
+const runRecurringExpenses = async (asOf = today()) => {
+  if (running) {
+    return 0;
+  }
+  running = true;
+
+  try {
+    const templates = await RecurringExpense.findAll({
+      where: {
+        isActive: true,
+        startDate: { [Op.lte]: asOf },
+        [Op.or]: [
+          { lastGeneratedDate: null },
+          { lastGeneratedDate: { [Op.lt]: asOf } }
+        ]
+      }
+    });
+
+    let generated = 0;
+    for (const template of templates) {
+      try {
+        const dates = await materializeTemplate(template, asOf);
+        generated += dates.length;
+
+        if (dates.length > 0) {
+          await notifyPosted(template, dates);
+        }
+      } catch (error) {
+        console.error(`Error generating recurring expense ${template.id}:`, error.message);
+      }
+    }
+
+    return generated;
+  } finally {
+    running = false;
+  }
+};
+
+// Start the in-process scheduler: one run now, then every INTERVAL_MS
+const startRecurringExpenseScheduler = () => {
+  if (timer) {
+    return;
+  }
+
+  const tick = () => runRecurringExpenses().catch(error => {
+    console.error('❌ Recurring expense scheduler error:', error.message);
+  });
+
+  tick();
+  timer = setInterval(tick, INTERVAL_MS);
+  timer.unref();
+  console.log(`⏰ Recurring expense scheduler running every ${INTERVAL_MS / 60000} minutes`);
+};
+
+const stopRecurringExpenseScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  materializeTemplate,
+  runRecurringExpenses,
+  startRecurringExpenseScheduler,
+  stopRecurringExpenseScheduler
+};
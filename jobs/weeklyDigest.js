@@ -0,0 +1,183 @@
+const { Op } = require('sequelize');
+const { Expense, Notification, User } = require('../models');
+const { loadCurrencyConverter } = require('../utils/currency');
+const { getChannels, notify } = require('../utils/notifications');
+const { parseDateOnly, formatDateOnly, getPeriodWindows } = require('../utils/periods');
+
+// How often the scheduler checks whether a digest is due (default: hourly).
+// Each user gets at most one digest per ISO week, so frequent runs are cheap.
+const INTERVAL_MS = parseInt(process.env.DIGEST_INTERVAL_MINUTES || '60', 10) * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOP_CATEGORIES = 3;
+
+let timer = null;
+let running = false;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// The full ISO week before the one containing `asOf`
+const previousWeek = (asOf) => {
+  const lastWeek = new Date(parseDateOnly(asOf).getTime() - 7 * DAY_MS);
+  return getPeriodWindows('weekly', lastWeek, lastWeek)[0];
+};
+
+/**
+ * Spending summary for one user over a week, in their home currency.
+ *
+ * @returns {Promise<Object>} total, count, topCategories, alerts, missingRates
+ */
+const buildDigest = async (user, week) => {
+  const expenses = await Expense.findAll({
+    where: {
+      user_id: user.id,
+      date: { [Op.between]: [week.start, week.end] }
+    },
+    attributes: ['amount', 'currency', 'category', 'date']
+  });
+
+  const converter = await loadCurrencyConverter(user.home_currency);
+  const byCategory = new Map();
+  let total = 0;
+
+  for (const expense of expenses) {
+    const amount = converter.convert(expense.amount, expense.currency, expense.date);
+    if (amount === null) {
+      continue;
+    }
+    total += amount;
+    byCategory.set(expense.category, (byCategory.get(expense.category) || 0) + amount);
+  }
+
+  const alerts = await Notification.count({
+    where: {
+      userId: user.id,
+      type: 'budget_alert',
+      createdAt: {
+        [Op.gte]: parseDateOnly(week.start),
+        [Op.lt]: new Date(parseDateOnly(week.end).getTime() + DAY_MS)
+      }
+    }
+  });
+
+  return {
+    week: week.label,
+    start: week.start,
+    end: week.end,
+    currency: converter.homeCurrency,
+    total: round(total),
+    count: expenses.length,
+    topCategories: [...byCategory.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_CATEGORIES)
+      .map(([category, amount]) => ({ category, amount: round(amount) })),
+    alerts,
+    missingRates: converter.missing
+  };
+};
+
+const formatDigest = (digest) => {
+  const lines = [
+    `Between ${digest.start} and ${digest.end} you recorded ${digest.count} expense(s) ` +
+      `totalling ${digest.currency} ${digest.total.toFixed(2)}.`
+  ];
+
+  if (digest.topCategories.length > 0) {
+    lines.push('', 'Top categories:');
+    for (const { category, amount } of digest.topCategories) {
+      lines.push(`  ${category}: ${digest.currency} ${amount.toFixed(2)}`);
+    }
+  }
+
+  if (digest.alerts > 0) {
+    lines.push('', `${digest.alerts} budget alert(s) were raised during the week.`);
+  }
+
+  if (digest.missingRates.length > 0) {
+    lines.push('', `Some amounts were left out because exchange rates are missing: ${digest.missingRates.join(', ')}`);
+  }
+
+  return lines.join('\n');
+};
+
+// Send last week's digest to every active user who has a channel enabled for it
+const runWeeklyDigest = async (asOf = formatDateOnly(parseDateOnly(new Date()))) => {
+  if (running) {
+    return 0;
+  }
+  running = true;
+
+  try {
+    const week = previousWeek(asOf);
+    const users = await User.findAll({
+      where: { is_active: true },
+      attributes: ['id', 'name', 'email', 'home_currency']
+    });
+
+    let sent = 0;
+    for (const user of users) {
+      try {
+        if ((await getChannels(user.id, 'weekly_digest')).length === 0) {
+          continue;
+        }
+
+        const dedupeKey = `digest:${week.label}`;
+        if (await Notification.count({ where: { userId: user.id, dedupeKey } })) {
+          continue;
+        }
+
+        const digest = await buildDigest(user, week);
+        const notification = await notify(user, {
+          type: 'weekly_digest',
+          title: `Your spending for ${week.label}`,
+          message: formatDigest(digest),
+          data: digest,
+          dedupeKey
+        });
+
+        if (notification) {
+          sent += 1;
+        }
+      } catch (error) {
+        console.error(`Error sending weekly digest to user ${user.id}:`, error.message);
+      }
+    }
+
+    if (sent > 0) {
+      console.log(`Weekly digest ${week.label}: sent to ${sent} user(s)`);
+    }
+
+    return sent;
+  } finally {
+    running = false;
+  }
+};
+
+// Start the in-process scheduler: one run now, then every INTERVAL_MS
+const startWeeklyDigestScheduler = () => {
+  if (timer) {
+    return;
+  }
+
+  const tick = () => runWeeklyDigest().catch(error => {
+    console.error('❌ Weekly digest scheduler error:', error.message);
+  });
+
+  tick();
+  timer = setInterval(tick, INTERVAL_MS);
+  timer.unref();
+  console.log(`⏰ Weekly digest scheduler running every ${INTERVAL_MS / 60000} minutes`);
+};
+
+const stopWeeklyDigestScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  buildDigest,
+  runWeeklyDigest,
+  startWeeklyDigestScheduler,
+  stopWeeklyDigestScheduler
+};
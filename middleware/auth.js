@@ -1,7 +1,18 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { Session } = require('../models');
+const {
+  isPersonalAccessToken,
+  findAccessToken,
+  touchAccessToken
+} = require('../utils/accessTokens');
 
-const auth = async (req, res, next) => {
+// How stale a session's lastSeenAt may get before a request refreshes it
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+// `scopes` lists what a personal access token needs to use the route; null
+// means the route only accepts login (JWT) tokens. See auth.scope below.
+const authenticate = (scopes) => async (req, res, next) => {
   console.log('\n=== Auth Middleware ===');
   console.log(`[${new Date().toISOString()}] ${req.method} ${req.originalUrl}`);
   
@@ -51,25 +62,60 @@ const auth = async (req, res, next) => {
       });
     }
 
-    // Verify token
+    // Personal access token: check it exists and carries the route's scopes
     let decoded;
-    try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret');
-      console.log('Decoded token:', decoded);
-    } catch (jwtError) {
-      console.error('❌ JWT verification failed:', jwtError);
-      if (jwtError.name === 'TokenExpiredError') {
+    let accessToken = null;
+    if (isPersonalAccessToken(token)) {
+      if (!scopes) {
+        return res.status(403).json({
+          success: false,
+          error: 'Personal access tokens cannot be used for this endpoint'
+        });
+      }
+
+      accessToken = await findAccessToken(token);
+      if (!accessToken) {
+        console.error('❌ Unknown, expired or revoked personal access token');
         return res.status(401).json({
           success: false,
-          error: 'Token expired',
-          expiredAt: jwtError.expiredAt
+          error: 'Invalid, expired or revoked access token'
+        });
+      }
+
+      const missing = scopes.filter(scope => !accessToken.scopes.includes(scope));
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          error: `Access token is missing the required scope: ${missing.join(', ')}`
+        });
+      }
+
+      decoded = { id: accessToken.userId };
+    } else {
+      if (!process.env.JWT_SECRET) {
+        console.error('JWT_SECRET is not set in environment variables');
+        throw new Error('Server configuration error');
+      }
+
+      // Verify token
+      try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+        console.log('Decoded token:', decoded);
+      } catch (jwtError) {
+        console.error('❌ JWT verification failed:', jwtError);
+        if (jwtError.name === 'TokenExpiredError') {
+          return res.status(401).json({
+            success: false,
+            error: 'Token expired',
+            expiredAt: jwtError.expiredAt
+          });
+        }
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid token',
+          details: jwtError.message
         });
       }
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid token',
-        details: jwtError.message
-      });
     }
 
     // Find user by id from token
@@ -94,8 +140,43 @@ const auth = async (req, res, next) => {
       });
     }
 
+    // Tokens from a session that was logged out or revoked stop working at
+    // once, not when they expire. Every login token carries its session id;
+    // one without it cannot be revoked and is refused.
+    if (!accessToken && !decoded.sid) {
+      console.error('❌ Token has no session:', user.id);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid token'
+      });
+    }
+
+    if (decoded.sid) {
+      const session = await Session.findOne({
+        where: { id: decoded.sid, userId: user.id }
+      });
+
+      if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+        console.error('❌ Token belongs to a revoked or expired session:', decoded.sid);
+        return res.status(401).json({
+          success: false,
+          error: 'Session has been revoked'
+        });
+      }
+
+      if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+        await session.update({ lastSeenAt: new Date() });
+      }
+    }
+
+    if (accessToken) {
+      await touchAccessToken(accessToken);
+    }
+
     // Add user to request object
     req.user = user;
+    req.sessionId = decoded.sid || null;
+    req.accessToken = accessToken;
     console.log('✅ User authenticated:', user.id);
     
     // Update last login time
@@ -130,4 +211,11 @@ const auth = async (req, res, next) => {
   }
 };
 
+// Accepts login tokens only
+const auth = authenticate(null);
+
+// Also accepts personal access tokens that have all of the given scopes,
+// e.g. router.get('/', auth.scope('expenses:read'), ...)
+auth.scope = (...scopes) => authenticate(scopes);
+
 module.exports = auth;
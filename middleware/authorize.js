@@ -0,0 +1,13 @@
+// Role check - use after the auth middleware, e.g.
+//   router.use(auth, authorize('admin'));
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action'
+    });
+  }
+  next();
+};
+
+module.exports = authorize;
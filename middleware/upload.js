@@ -0,0 +1,113 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+
+// Set up multer storage configuration
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const uploadDir = path.join(__dirname, '../uploads');
+    
+    // Create uploads directory if it doesn't exist
+    if (!fs.existsSync(uploadDir)) {
+      fs.mkdirSync(uploadDir, { recursive: true });
+    }
+    
+    cb(null, uploadDir);
+  },
+  filename: (req, file, cb) => {
+    // Generate unique filename
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const ext = path.extname(file.originalname);
+    cb(null, file.fieldname + '-' + uniqueSuffix + ext);
+  }
+});
+
+// Rejected uploads are the client's mistake, answered with a 400
+const fileTypeError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_FILE_TYPE';
+  return error;
+};
+
+// File filter function
+const fileFilter = (req, file, cb) => {
+  // Accept common file types
+  const allowedTypes = [
+    'image/jpeg', 'image/png', 'image/gif',
+    'application/pdf', 'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'text/plain', 'text/csv'
+  ];
+  
+  if (allowedTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(fileTypeError('Invalid file type. Only images, PDFs, Word documents, Excel files, and text files are allowed.'), false);
+  }
+};
+
+// CSV files arrive as text/csv, text/plain or (from Windows browsers) the
+// Excel type, so the .csv extension is required as well
+const csvFileFilter = (req, file, cb) => {
+  const csvTypes = ['text/csv', 'application/csv', 'text/plain', 'application/vnd.ms-excel'];
+  
+  if (csvTypes.includes(file.mimetype) && path.extname(file.originalname).toLowerCase() === '.csv') {
+    cb(null, true);
+  } else {
+    cb(fileTypeError('Invalid file type. Only CSV files are allowed.'), false);
+  }
+};
+
+const limits = {
+  fileSize: 5 * 1024 * 1024 // 5MB max file size
+};
+
+// Set up multer upload
+const upload = multer({
+  storage: storage,
+  fileFilter: fileFilter,
+  limits
+});
+
+const csvUpload = multer({
+  storage: storage,
+  fileFilter: csvFileFilter,
+  limits
+});
+
+// Error handling middleware for multer
+const handleUploadErrors = (err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    // A Multer error occurred when uploading
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        success: false,
+        message: 'File size exceeds the 5MB limit'
+      });
+    }
+    return res.status(400).json({
+      success: false,
+      message: `Upload error: ${err.message}`
+    });
+  } else if (err && err.code === 'INVALID_FILE_TYPE') {
+    return res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  } else if (err) {
+    // An unknown error occurred
+    return res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+  next();
+};
+
+module.exports = {
+  upload,
+  csvUpload,
+  handleUploadErrors
+};
@@ -0,0 +1,18 @@
+const { validationResult } = require('express-validator');
+
+// Input validation middleware - run after express-validator checks
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      success: false,
+      errors: errors.array().map(err => ({
+        field: err.path || err.param,
+        message: err.msg
+      }))
+    });
+  }
+  next();
+};
+
+module.exports = validate;
@@ -0,0 +1,39 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('team_members', 'owner_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
+
+    // Existing invites were always sent by the workspace owner
+    await queryInterface.sequelize.query(
+      'UPDATE team_members SET owner_id = invited_by_id WHERE owner_id IS NULL'
+    );
+
+    await queryInterface.changeColumn('team_members', 'owner_id', {
+      type: Sequelize.INTEGER,
+      allowNull: false
+    });
+
+    await queryInterface.addIndex('team_members', ['owner_id']);
+    await queryInterface.addIndex('team_members', ['invite_token']);
+
+    console.log('Added owner_id column to team_members table');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('team_members', ['invite_token']);
+    await queryInterface.removeColumn('team_members', 'owner_id');
+
+    console.log('Removed owner_id column from team_members table');
+  }
+};
@@ -0,0 +1,27 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('documents', 'expense_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'expenses',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addIndex('documents', ['expense_id']);
+
+    console.log('Added expense_id column to documents table');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('documents', 'expense_id');
+
+    console.log('Removed expense_id column from documents table');
+  }
+};
@@ -0,0 +1,102 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('recurring_expenses', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      category: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      frequency: {
+        type: Sequelize.ENUM('daily', 'weekly', 'monthly', 'yearly'),
+        allowNull: false,
+        defaultValue: 'monthly'
+      },
+      day_of_month: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      start_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      end_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      last_generated_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      skipped_dates: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('recurring_expenses', ['user_id']);
+
+    await queryInterface.addColumn('expenses', 'recurring_expense_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'recurring_expenses',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    // One expense per template occurrence, so generation is idempotent
+    await queryInterface.addIndex('expenses', ['recurring_expense_id', 'date'], {
+      unique: true,
+      name: 'expenses_recurring_expense_id_date'
+    });
+
+    console.log('Created recurring_expenses table and linked expenses to it');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('expenses', 'expenses_recurring_expense_id_date');
+    await queryInterface.removeColumn('expenses', 'recurring_expense_id');
+    await queryInterface.dropTable('recurring_expenses');
+  }
+};
@@ -0,0 +1,70 @@
+'use strict';
+
+const CURRENCY_TABLES = ['expenses', 'budgets', 'incomes', 'recurring_expenses'];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Existing rows were all recorded in the default currency
+    for (const table of CURRENCY_TABLES) {
+      await queryInterface.addColumn(table, 'currency', {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: 'INR'
+      });
+    }
+
+    await queryInterface.addColumn('users', 'home_currency', {
+      type: Sequelize.STRING(3),
+      allowNull: false,
+      defaultValue: 'INR'
+    });
+
+    await queryInterface.createTable('exchange_rates', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      base_currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      quote_currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      rate: {
+        type: Sequelize.DECIMAL(18, 8),
+        allowNull: false
+      },
+      date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('exchange_rates', ['base_currency', 'quote_currency', 'date'], {
+      unique: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('exchange_rates');
+    await queryInterface.removeColumn('users', 'home_currency');
+
+    for (const table of CURRENCY_TABLES) {
+      await queryInterface.removeColumn(table, 'currency');
+    }
+  }
+};
@@ -0,0 +1,149 @@
+'use strict';
+
+const CATEGORY_TABLES = ['expenses', 'budgets', 'recurring_expenses'];
+
+// Same rule as utils/categories.js normalizeCategoryName
+const normalize = (name) => String(name || '').trim().replace(/\s+/g, ' ');
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('categories', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      color: {
+        type: Sequelize.STRING(7),
+        allowNull: true
+      },
+      icon: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      parent_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'categories',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      archived: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    }, {
+      charset: 'utf8mb4',
+      collate: 'utf8mb4_unicode_ci'
+    });
+
+    await queryInterface.addIndex('categories', ['user_id', 'name'], { unique: true });
+
+    for (const table of CATEGORY_TABLES) {
+      await queryInterface.addColumn(table, 'category_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'categories',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      });
+      await queryInterface.addIndex(table, ['category_id']);
+    }
+
+    // Map the existing free-text strings onto categories. Spellings that
+    // differ only in case or whitespace ("Food", "food ", "FOOD") become one
+    // category named after the most used spelling.
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const [rows] = await queryInterface.sequelize.query(
+        CATEGORY_TABLES
+          .map(table => `SELECT user_id, category, COUNT(*) AS uses FROM ${table} GROUP BY user_id, category`)
+          .join(' UNION ALL '),
+        { transaction }
+      );
+
+      // userId -> normalised key -> { spellings: Map(original -> uses) }
+      const groups = new Map();
+      rows.forEach(row => {
+        const name = normalize(row.category);
+        if (!name) return;
+        const key = name.toLowerCase();
+
+        if (!groups.has(row.user_id)) groups.set(row.user_id, new Map());
+        const userGroups = groups.get(row.user_id);
+        if (!userGroups.has(key)) userGroups.set(key, new Map());
+
+        const spellings = userGroups.get(key);
+        spellings.set(row.category, (spellings.get(row.category) || 0) + Number(row.uses));
+      });
+
+      for (const [userId, userGroups] of groups) {
+        for (const spellings of userGroups.values()) {
+          const [canonical] = [...spellings.entries()]
+            .map(([original, uses]) => [normalize(original), uses])
+            .sort((a, b) => b[1] - a[1]);
+          const name = canonical[0].slice(0, 50);
+
+          await queryInterface.bulkInsert('categories', [{
+            user_id: userId,
+            name,
+            archived: false,
+            created_at: new Date(),
+            updated_at: new Date()
+          }], { transaction });
+
+          const [[category]] = await queryInterface.sequelize.query(
+            'SELECT id FROM categories WHERE user_id = ? AND name = ?',
+            { replacements: [userId, name], transaction }
+          );
+
+          for (const table of CATEGORY_TABLES) {
+            await queryInterface.sequelize.query(
+              `UPDATE ${table} SET category_id = ?, category = ? WHERE user_id = ? AND category IN (?)`,
+              { replacements: [category.id, name, userId, [...spellings.keys()]], transaction }
+            );
+          }
+        }
+      }
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const table of CATEGORY_TABLES) {
+      await queryInterface.removeColumn(table, 'category_id');
+    }
+
+    await queryInterface.dropTable('categories');
+  }
+};
@@ -0,0 +1,81 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('notifications', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      type: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      title: {
+        type: Sequelize.STRING(150),
+        allowNull: false
+      },
+      message: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      data: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      dedupe_key: {
+        type: Sequelize.STRING(150),
+        allowNull: true
+      },
+      read_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      dismissed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('notifications', ['user_id', 'dedupe_key'], { unique: true });
+    await queryInterface.addIndex('notifications', ['user_id', 'created_at']);
+
+    // Existing budgets alert at 50%, 80% and 100%
+    await queryInterface.addColumn('budgets', 'alert_thresholds', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+    await queryInterface.sequelize.query("UPDATE budgets SET alert_thresholds = '[50,80,100]'");
+    await queryInterface.changeColumn('budgets', 'alert_thresholds', {
+      type: Sequelize.JSON,
+      allowNull: false
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('budgets', 'alert_thresholds');
+    await queryInterface.dropTable('notifications');
+  }
+};
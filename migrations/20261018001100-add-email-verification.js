@@ -0,0 +1,66 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'email_verified_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    // Accounts created before verification existed keep working
+    await queryInterface.sequelize.query('UPDATE users SET email_verified_at = created_at');
+
+    await queryInterface.createTable('user_tokens', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      purpose: {
+        type: Sequelize.STRING(30),
+        allowNull: false
+      },
+      token_hash: {
+        type: Sequelize.CHAR(64),
+        allowNull: false,
+        unique: true
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      used_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('user_tokens', ['user_id', 'purpose']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('user_tokens');
+    await queryInterface.removeColumn('users', 'email_verified_at');
+  }
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'totp_secret', {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    });
+    await queryInterface.addColumn('users', 'totp_enabled_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('users', 'totp_last_step', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    await queryInterface.createTable('backup_codes', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      code_hash: {
+        type: Sequelize.CHAR(64),
+        allowNull: false
+      },
+      used_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('backup_codes', ['user_id', 'code_hash'], { unique: true });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('backup_codes');
+    await queryInterface.removeColumn('users', 'totp_last_step');
+    await queryInterface.removeColumn('users', 'totp_enabled_at');
+    await queryInterface.removeColumn('users', 'totp_secret');
+  }
+};
@@ -0,0 +1,70 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'locked_until', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.createTable('lockout_events', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      scope: {
+        type: Sequelize.STRING(10),
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      email: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      ip_address: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      failures: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      locked_until: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      unlocked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('lockout_events', ['user_id', 'created_at']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('lockout_events');
+    await queryInterface.removeColumn('users', 'locked_until');
+  }
+};
@@ -0,0 +1,16 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'role', {
+      type: Sequelize.ENUM('user', 'admin'),
+      allowNull: false,
+      defaultValue: 'user'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('users', 'role');
+  }
+};
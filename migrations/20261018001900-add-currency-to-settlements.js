@@ -0,0 +1,21 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Existing settlements were all recorded in the default currency
+    await queryInterface.addColumn('settlements', 'currency', {
+      type: Sequelize.STRING(3),
+      allowNull: false,
+      defaultValue: 'INR'
+    });
+
+    console.log('Added currency column to settlements table');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('settlements', 'currency');
+
+    console.log('Removed currency column from settlements table');
+  }
+};
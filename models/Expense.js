@@ -20,6 +20,7 @@ Expense.init({
     },
     onDelete: 'CASCADE'
   },
+  // Name of the category, kept in step with category_id
   category: {
     type: DataTypes.STRING(50),
     allowNull: false,
@@ -28,6 +29,16 @@ Expense.init({
       notEmpty: true
     }
   },
+  category_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'category_id',
+    references: {
+      model: 'categories',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
   amount: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false,
@@ -48,6 +59,26 @@ Expense.init({
     allowNull: false,
     defaultValue: DataTypes.NOW
   },
+  // ISO 4217 code the amount was spent in
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'INR',
+    validate: {
+      is: /^[A-Z]{3}$/
+    }
+  },
+  // Set when the expense was generated from a recurring template
+  recurring_expense_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'recurring_expense_id',
+    references: {
+      model: 'recurring_expenses',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
   created_at: {
     type: DataTypes.DATE,
     allowNull: false,
@@ -71,6 +102,11 @@ Expense.init({
     },
     {
       fields: ['created_at']
+    },
+    {
+      // One expense per template occurrence, so generation is idempotent
+      unique: true,
+      fields: ['recurring_expense_id', 'date']
     }
   ],
   charset: 'utf8mb4',
@@ -40,9 +40,10 @@ const User = sequelize.define('User', {
       len: [1, 100]
     }
   },
+  // Null for accounts created through an external login (see UserIdentity)
   password: {
     type: DataTypes.STRING,
-    allowNull: false,
+    allowNull: true,
     validate: {
       notEmpty: true,
       len: [6, 100]
@@ -52,9 +53,65 @@ const User = sequelize.define('User', {
     type: DataTypes.BOOLEAN,
     defaultValue: true
   },
+  // Admins can manage users through /api/admin
+  role: {
+    type: DataTypes.ENUM('user', 'admin'),
+    allowNull: false,
+    defaultValue: 'user',
+    validate: {
+      isIn: {
+        args: [['user', 'admin']],
+        msg: 'Role must be one of: user, admin'
+      }
+    }
+  },
   last_login: {
     type: DataTypes.DATE,
     allowNull: true
+  },
+  // Set once the user follows the link in the verification email.
+  // Unverified users cannot log in.
+  email_verified_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // TOTP secret, encrypted (see utils/twoFactor.js). Set during enrolment;
+  // 2FA is only enforced once totp_enabled_at is set.
+  totp_secret: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  totp_enabled_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Last time step a code was accepted for, so codes can't be replayed
+  totp_last_step: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Set after too many failed logins; login is refused until this time
+  locked_until: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Set when the user asks to delete their account; the account and its
+  // data are removed after this time unless the deletion is cancelled
+  deletion_scheduled_for: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Reports are converted into this currency
+  home_currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'INR',
+    validate: {
+      is: {
+        args: /^[A-Z]{3}$/,
+        msg: 'Home currency must be a 3-letter ISO 4217 code.'
+      }
+    }
   }
 }, {
   tableName: 'users',
@@ -83,9 +140,7 @@ User.prototype.comparePassword = async function(candidatePassword) {
       console.error('Missing password or candidate password');
       return false;
     }
-    const isMatch = await bcrypt.compare(candidatePassword, this.password);
-    console.log('Password comparison result:', isMatch);
-    return isMatch;
+    return await bcrypt.compare(candidatePassword, this.password);
   } catch (error) {
     console.error('Error comparing passwords:', error);
     return false;
@@ -103,7 +158,8 @@ const createTestUser = async () => {
         username: 'testuser',
         email: 'test@example.com',
         password: 'password123',
-        is_active: true
+        is_active: true,
+        email_verified_at: new Date()
       });
       console.log('Test user created successfully');
     }
@@ -0,0 +1,47 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // One-time 2FA backup codes, stored as SHA-256 hashes
+  const BackupCode = sequelize.define('BackupCode', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    codeHash: {
+      type: DataTypes.CHAR(64),
+      allowNull: false
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'backup_codes',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['user_id', 'code_hash']
+      }
+    ]
+  });
+
+  BackupCode.associate = (models) => {
+    BackupCode.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return BackupCode;
+};
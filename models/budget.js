@@ -38,6 +38,17 @@ module.exports = (sequelize) => {
         return value === null ? null : parseFloat(value);
       }
     },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'INR',
+      validate: {
+        is: {
+          args: /^[A-Z]{3}$/,
+          msg: 'Currency must be a 3-letter ISO 4217 code'
+        }
+      }
+    },
     category: {
       type: DataTypes.STRING,
       allowNull: false,
@@ -47,6 +58,15 @@ module.exports = (sequelize) => {
         }
       }
     },
+    categoryId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'categories',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
     period: {
       type: DataTypes.ENUM('weekly', 'monthly', 'quarterly', 'yearly'),
       defaultValue: 'monthly',
@@ -57,6 +77,19 @@ module.exports = (sequelize) => {
         }
       }
     },
+    // Percentages of the budget that raise an alert when spending reaches them
+    alertThresholds: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [50, 80, 100],
+      validate: {
+        isThresholdList(value) {
+          if (!Array.isArray(value) || value.some(threshold => !Number.isInteger(threshold) || threshold < 1 || threshold > 1000)) {
+            throw new Error('Alert thresholds must be whole percentages between 1 and 1000');
+          }
+        }
+      }
+    },
     planId: {
       type: DataTypes.STRING,
       allowNull: true,
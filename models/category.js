@@ -0,0 +1,95 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Category = sequelize.define('Category', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: 'Category name cannot be empty'
+        },
+        len: {
+          args: [1, 50],
+          msg: 'Category name must be between 1 and 50 characters'
+        }
+      }
+    },
+    // Hex colour such as #4CAF50
+    color: {
+      type: DataTypes.STRING(7),
+      allowNull: true,
+      validate: {
+        is: {
+          args: /^#[0-9A-Fa-f]{6}$/,
+          msg: 'Colour must be a hex value such as #4CAF50'
+        }
+      }
+    },
+    // Icon name understood by the frontend, e.g. "shopping-cart"
+    icon: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    parentId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'categories',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    // Archived categories stay on old expenses but cannot be picked for new ones
+    archived: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  }, {
+    tableName: 'categories',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        // The column collation is case-insensitive, so "Food" and "food" clash
+        unique: true,
+        fields: ['user_id', 'name']
+      }
+    ],
+    charset: 'utf8mb4',
+    collate: 'utf8mb4_unicode_ci'
+  });
+
+  Category.associate = (models) => {
+    Category.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+
+    Category.belongsTo(Category, {
+      foreignKey: 'parentId',
+      as: 'parent'
+    });
+
+    Category.hasMany(Category, {
+      foreignKey: 'parentId',
+      as: 'children'
+    });
+  };
+
+  return Category;
+};
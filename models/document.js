@@ -34,6 +34,16 @@ module.exports = (sequelize) => {
         model: 'users',
         key: 'id'
       }
+    },
+    // Expense this document is a receipt for (optional)
+    expenseId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'expenses',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
     }
   }, {
     tableName: 'documents',
@@ -46,6 +56,11 @@ module.exports = (sequelize) => {
       foreignKey: 'userId',
       as: 'user'
     });
+
+    Document.belongsTo(models.Expense, {
+      foreignKey: 'expenseId',
+      as: 'expense'
+    });
   };
 
   return Document;
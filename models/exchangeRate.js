@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // 1 unit of baseCurrency = rate units of quoteCurrency, effective from `date`
+  const ExchangeRate = sequelize.define('ExchangeRate', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    baseCurrency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      validate: {
+        is: {
+          args: /^[A-Z]{3}$/,
+          msg: 'Currency must be a 3-letter ISO 4217 code'
+        }
+      }
+    },
+    quoteCurrency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      validate: {
+        is: {
+          args: /^[A-Z]{3}$/,
+          msg: 'Currency must be a 3-letter ISO 4217 code'
+        }
+      }
+    },
+    rate: {
+      type: DataTypes.DECIMAL(18, 8),
+      allowNull: false,
+      validate: {
+        isDecimal: {
+          msg: 'Rate must be a valid decimal number'
+        },
+        min: {
+          args: [0.00000001],
+          msg: 'Rate must be greater than 0'
+        }
+      },
+      get() {
+        const value = this.getDataValue('rate');
+        return value === null ? null : parseFloat(value);
+      }
+    },
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    }
+  }, {
+    tableName: 'exchange_rates',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['base_currency', 'quote_currency', 'date']
+      }
+    ]
+  });
+
+  return ExchangeRate;
+};
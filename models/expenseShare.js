@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ExpenseShare = sequelize.define('ExpenseShare', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    sharedExpenseId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'shared_expenses',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // Percentage, exact amount or share weight as entered (null for equal splits)
+    shareValue: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      get() {
+        const value = this.getDataValue('shareValue');
+        return value === null ? null : parseFloat(value);
+      }
+    },
+    // The participant's portion of the expense
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      get() {
+        const value = this.getDataValue('amount');
+        return value === null ? null : parseFloat(value);
+      }
+    }
+  }, {
+    tableName: 'expense_shares',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['shared_expense_id', 'user_id']
+      },
+      {
+        fields: ['user_id']
+      }
+    ]
+  });
+
+  ExpenseShare.associate = (models) => {
+    ExpenseShare.belongsTo(models.SharedExpense, {
+      foreignKey: 'sharedExpenseId',
+      as: 'sharedExpense'
+    });
+
+    ExpenseShare.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return ExpenseShare;
+};
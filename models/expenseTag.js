@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Join table between expenses and tags
+  const ExpenseTag = sequelize.define('ExpenseTag', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    expenseId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'expenses',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    tagId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'tags',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    }
+  }, {
+    tableName: 'expense_tags',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['expense_id', 'tag_id']
+      },
+      {
+        fields: ['tag_id']
+      }
+    ]
+  });
+
+  ExpenseTag.associate = (models) => {
+    ExpenseTag.belongsTo(models.Expense, {
+      foreignKey: 'expenseId',
+      as: 'expense'
+    });
+
+    ExpenseTag.belongsTo(models.Tag, {
+      foreignKey: 'tagId',
+      as: 'tag'
+    });
+  };
+
+  return ExpenseTag;
+};
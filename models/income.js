@@ -0,0 +1,91 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Income = sequelize.define('Income', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // Where the money came from, e.g. Stipend, Part-time job, Allowance
+    source: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: 'Source cannot be empty'
+        },
+        len: {
+          args: [1, 50],
+          msg: 'Source must be between 1 and 50 characters'
+        }
+      }
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        isDecimal: {
+          msg: 'Amount must be a valid decimal number'
+        },
+        min: {
+          args: [0.01],
+          msg: 'Amount must be greater than 0'
+        }
+      },
+      get() {
+        const value = this.getDataValue('amount');
+        return value === null ? null : parseFloat(value);
+      }
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'INR',
+      validate: {
+        is: {
+          args: /^[A-Z]{3}$/,
+          msg: 'Currency must be a 3-letter ISO 4217 code'
+        }
+      }
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      validate: {
+        len: [0, 500]
+      }
+    },
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'incomes',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['user_id', 'date']
+      }
+    ]
+  });
+
+  Income.associate = (models) => {
+    Income.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return Income;
+};
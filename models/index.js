@@ -3,11 +3,29 @@ const User = require('./User');
 const Expense = require('./Expense');
 
 // Initialize models with sequelize instance
-let Budget, Document, TeamMember;
+let Budget, Document, TeamMember, SharedExpense, ExpenseShare, Settlement, RecurringExpense, Income, ExchangeRate, Category, Tag, ExpenseTag, Notification, NotificationPreference, UserToken, Session, RefreshToken, BackupCode, LockoutEvent, PersonalAccessToken, UserIdentity;
 try {
   Budget = require('./budget')(sequelize);
   Document = require('./document')(sequelize);
   TeamMember = require('./team')(sequelize);
+  SharedExpense = require('./sharedExpense')(sequelize);
+  ExpenseShare = require('./expenseShare')(sequelize);
+  Settlement = require('./settlement')(sequelize);
+  RecurringExpense = require('./recurringExpense')(sequelize);
+  Income = require('./income')(sequelize);
+  ExchangeRate = require('./exchangeRate')(sequelize);
+  Category = require('./category')(sequelize);
+  Tag = require('./tag')(sequelize);
+  ExpenseTag = require('./expenseTag')(sequelize);
+  Notification = require('./notification')(sequelize);
+  NotificationPreference = require('./notificationPreference')(sequelize);
+  UserToken = require('./userToken')(sequelize);
+  Session = require('./session')(sequelize);
+  RefreshToken = require('./refreshToken')(sequelize);
+  BackupCode = require('./backupCode')(sequelize);
+  LockoutEvent = require('./lockoutEvent')(sequelize);
+  PersonalAccessToken = require('./personalAccessToken')(sequelize);
+  UserIdentity = require('./userIdentity')(sequelize);
 } catch (error) {
   console.error('Error initializing models:', error);
 }
@@ -49,9 +67,26 @@ if (Document) {
     foreignKey: 'userId',
     as: 'user'
   });
+
+  Expense.hasMany(Document, {
+    foreignKey: 'expenseId',
+    as: 'documents',
+    onDelete: 'SET NULL'
+  });
+
+  Document.belongsTo(Expense, {
+    foreignKey: 'expenseId',
+    as: 'expense'
+  });
 }
 
 if (TeamMember) {
+  User.hasMany(TeamMember, {
+    foreignKey: 'ownerId',
+    as: 'teamMembers',
+    onDelete: 'CASCADE'
+  });
+
   User.hasMany(TeamMember, {
     foreignKey: 'invitedById',
     as: 'teamInvites',
@@ -64,6 +99,11 @@ if (TeamMember) {
     onDelete: 'SET NULL'
   });
 
+  TeamMember.belongsTo(User, {
+    foreignKey: 'ownerId',
+    as: 'owner'
+  });
+
   TeamMember.belongsTo(User, {
     foreignKey: 'invitedById',
     as: 'invitedBy'
@@ -75,6 +115,307 @@ if (TeamMember) {
   });
 }
 
+if (SharedExpense && ExpenseShare) {
+  Expense.hasOne(SharedExpense, {
+    foreignKey: 'expenseId',
+    as: 'split',
+    onDelete: 'CASCADE'
+  });
+
+  SharedExpense.belongsTo(Expense, {
+    foreignKey: 'expenseId',
+    as: 'expense'
+  });
+
+  SharedExpense.belongsTo(User, {
+    foreignKey: 'payerId',
+    as: 'payer'
+  });
+
+  SharedExpense.hasMany(ExpenseShare, {
+    foreignKey: 'sharedExpenseId',
+    as: 'shares',
+    onDelete: 'CASCADE'
+  });
+
+  ExpenseShare.belongsTo(SharedExpense, {
+    foreignKey: 'sharedExpenseId',
+    as: 'sharedExpense'
+  });
+
+  ExpenseShare.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+  });
+
+  User.hasMany(ExpenseShare, {
+    foreignKey: 'userId',
+    as: 'expenseShares'
+  });
+}
+
+if (Settlement) {
+  Settlement.belongsTo(User, {
+    foreignKey: 'fromUserId',
+    as: 'fromUser'
+  });
+
+  Settlement.belongsTo(User, {
+    foreignKey: 'toUserId',
+    as: 'toUser'
+  });
+
+  Settlement.belongsTo(User, {
+    foreignKey: 'createdById',
+    as: 'createdBy'
+  });
+}
+
+if (RecurringExpense) {
+  User.hasMany(RecurringExpense, {
+    foreignKey: 'userId',
+    as: 'recurringExpenses',
+    onDelete: 'CASCADE'
+  });
+
+  RecurringExpense.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+  });
+
+  RecurringExpense.hasMany(Expense, {
+    foreignKey: 'recurring_expense_id',
+    as: 'expenses',
+    onDelete: 'SET NULL'
+  });
+
+  Expense.belongsTo(RecurringExpense, {
+    foreignKey: 'recurring_expense_id',
+    as: 'recurringExpense'
+  });
+}
+
+if (Income) {
+  User.hasMany(Income, {
+    foreignKey: 'userId',
+    as: 'incomes',
+    onDelete: 'CASCADE'
+  });
+
+  Income.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+  });
+}
+
+if (Category) {
+  User.hasMany(Category, {
+    foreignKey: 'userId',
+    as: 'categories',
+    onDelete: 'CASCADE'
+  });
+
+  Category.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+  });
+
+  Category.belongsTo(Category, {
+    foreignKey: 'parentId',
+    as: 'parent'
+  });
+
+  Category.hasMany(Category, {
+    foreignKey: 'parentId',
+    as: 'children'
+  });
+
+  // Expense and Budget keep the category name in `category`, so the
+  // association needs a different alias
+  Category.hasMany(Expense, {
+    foreignKey: 'category_id',
+    as: 'expenses'
+  });
+
+  Expense.belongsTo(Category, {
+    foreignKey: 'category_id',
+    as: 'categoryRecord'
+  });
+
+  if (Budget) {
+    Category.hasMany(Budget, {
+      foreignKey: 'categoryId',
+      as: 'budgets'
+    });
+
+    Budget.belongsTo(Category, {
+      foreignKey: 'categoryId',
+      as: 'categoryRecord'
+    });
+  }
+
+  if (RecurringExpense) {
+    RecurringExpense.belongsTo(Category, {
+      foreignKey: 'categoryId',
+      as: 'categoryRecord'
+    });
+  }
+}
+
+if (Tag && ExpenseTag) {
+  User.hasMany(Tag, {
+    foreignKey: 'userId',
+    as: 'tags',
+    onDelete: 'CASCADE'
+  });
+
+  Tag.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+  });
+
+  Expense.belongsToMany(Tag, {
+    through: ExpenseTag,
+    foreignKey: 'expenseId',
+    otherKey: 'tagId',
+    as: 'tags'
+  });
+
+  Tag.belongsToMany(Expense, {
+    through: ExpenseTag,
+    foreignKey: 'tagId',
+    otherKey: 'expenseId',
+    as: 'expenses'
+  });
+
+  ExpenseTag.belongsTo(Expense, {
+    foreignKey: 'expenseId',
+    as: 'expense'
+  });
+
+  ExpenseTag.belongsTo(Tag, {
+    foreignKey: 'tagId',
+    as: 'tag'
+  });
+}
+
+if (Notification) {
+  User.hasMany(Notification, {
+    foreignKey: 'userId',
+    as: 'notifications',
+    onDelete: 'CASCADE'
+  });
+
+  Notification.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+  });
+}
+
+if (NotificationPreference) {
+  User.hasOne(NotificationPreference, {
+    foreignKey: 'userId',
+    as: 'notificationPreference',
+    onDelete: 'CASCADE'
+  });
+
+  NotificationPreference.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+  });
+}
+
+if (UserToken) {
+  User.hasMany(UserToken, {
+    foreignKey: 'userId',
+    as: 'tokens',
+    onDelete: 'CASCADE'
+  });
+
+  UserToken.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+  });
+}
+
+if (Session) {
+  User.hasMany(Session, {
+    foreignKey: 'userId',
+    as: 'sessions',
+    onDelete: 'CASCADE'
+  });
+
+  Session.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+  });
+}
+
+if (RefreshToken) {
+  Session.hasMany(RefreshToken, {
+    foreignKey: 'sessionId',
+    as: 'refreshTokens',
+    onDelete: 'CASCADE'
+  });
+
+  RefreshToken.belongsTo(Session, {
+    foreignKey: 'sessionId',
+    as: 'session'
+  });
+}
+
+if (BackupCode) {
+  User.hasMany(BackupCode, {
+    foreignKey: 'userId',
+    as: 'backupCodes',
+    onDelete: 'CASCADE'
+  });
+
+  BackupCode.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+  });
+}
+
+if (LockoutEvent) {
+  User.hasMany(LockoutEvent, {
+    foreignKey: 'userId',
+    as: 'lockoutEvents',
+    onDelete: 'CASCADE'
+  });
+
+  LockoutEvent.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+  });
+}
+
+if (PersonalAccessToken) {
+  User.hasMany(PersonalAccessToken, {
+    foreignKey: 'userId',
+    as: 'accessTokens',
+    onDelete: 'CASCADE'
+  });
+
+  PersonalAccessToken.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+  });
+}
+
+if (UserIdentity) {
+  User.hasMany(UserIdentity, {
+    foreignKey: 'userId',
+    as: 'identities',
+    onDelete: 'CASCADE'
+  });
+
+  UserIdentity.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+  });
+}
+
 // Export all models and sequelize instance
 module.exports = {
   sequelize,
@@ -82,5 +423,23 @@ module.exports = {
   Expense,
   Budget,
   Document,
-  TeamMember
+  TeamMember,
+  SharedExpense,
+  ExpenseShare,
+  Settlement,
+  RecurringExpense,
+  Income,
+  ExchangeRate,
+  Category,
+  Tag,
+  ExpenseTag,
+  Notification,
+  NotificationPreference,
+  UserToken,
+  Session,
+  RefreshToken,
+  BackupCode,
+  LockoutEvent,
+  PersonalAccessToken,
+  UserIdentity
 };
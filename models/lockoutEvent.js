@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // A login lockout: an account (or, for IP lockouts, an address) that hit
+  // the failed-attempt limit. Kept as an audit trail and for unlocking.
+  const LockoutEvent = sequelize.define('LockoutEvent', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    scope: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [['account', 'ip']],
+          msg: 'Scope must be one of: account, ip'
+        }
+      }
+    },
+    // Null for IP lockouts and for emails that don't belong to an account
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    email: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    ipAddress: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    failures: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    lockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    unlockedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'lockout_events',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['user_id', 'created_at']
+      }
+    ]
+  });
+
+  LockoutEvent.associate = (models) => {
+    LockoutEvent.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return LockoutEvent;
+};
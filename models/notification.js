@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Notification = sequelize.define('Notification', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // What the notification is about, e.g. budget_alert
+    type: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    title: {
+      type: DataTypes.STRING(150),
+      allowNull: false
+    },
+    message: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    // Type-specific details (budget id, threshold, period window, ...)
+    data: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    // Identifies the event so it is only recorded once per user,
+    // e.g. budget:12:2026-10:80
+    dedupeKey: {
+      type: DataTypes.STRING(150),
+      allowNull: true
+    },
+    readAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Dismissed notifications are hidden but kept, so the same event is
+    // not raised again
+    dismissedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'notifications',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['user_id', 'dedupe_key']
+      },
+      {
+        fields: ['user_id', 'created_at']
+      }
+    ]
+  });
+
+  Notification.associate = (models) => {
+    Notification.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return Notification;
+};
@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Per-user delivery settings for notifications
+  const NotificationPreference = sequelize.define('NotificationPreference', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // Notification type -> channels, e.g. { "budget_alert": ["in_app", "email"] }.
+    // Types that are not listed use the defaults in utils/notifications.js.
+    channels: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    },
+    webhookUrl: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      validate: {
+        isUrl: {
+          args: { protocols: ['http', 'https'], require_protocol: true, require_tld: false },
+          msg: 'Webhook URL must be an http(s) URL'
+        }
+      }
+    },
+    // Used to sign webhook payloads (X-Signature header)
+    webhookSecret: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    }
+  }, {
+    tableName: 'notification_preferences',
+    timestamps: true,
+    underscored: true
+  });
+
+  NotificationPreference.associate = (models) => {
+    NotificationPreference.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return NotificationPreference;
+};
@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Long-lived tokens for scripts and integrations. Only the SHA-256 hash is
+  // stored; tokenPrefix is kept so users can tell their tokens apart.
+  const PersonalAccessToken = sequelize.define('PersonalAccessToken', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: 'Token name cannot be empty'
+        },
+        len: {
+          args: [1, 100],
+          msg: 'Token name must be between 1 and 100 characters'
+        }
+      }
+    },
+    tokenHash: {
+      type: DataTypes.CHAR(64),
+      allowNull: false,
+      unique: true
+    },
+    tokenPrefix: {
+      type: DataTypes.STRING(12),
+      allowNull: false
+    },
+    // e.g. ["expenses:read", "reports:read"]
+    scopes: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    // Null means the token does not expire
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'personal_access_tokens',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['user_id']
+      }
+    ]
+  });
+
+  PersonalAccessToken.associate = (models) => {
+    PersonalAccessToken.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return PersonalAccessToken;
+};
@@ -0,0 +1,137 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const RecurringExpense = sequelize.define('RecurringExpense', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        isDecimal: {
+          msg: 'Amount must be a valid decimal number'
+        },
+        min: {
+          args: [0.01],
+          msg: 'Amount must be greater than 0'
+        }
+      },
+      get() {
+        const value = this.getDataValue('amount');
+        return value === null ? null : parseFloat(value);
+      }
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'INR',
+      validate: {
+        is: {
+          args: /^[A-Z]{3}$/,
+          msg: 'Currency must be a 3-letter ISO 4217 code'
+        }
+      }
+    },
+    category: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: 'Category cannot be empty'
+        }
+      }
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    categoryId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'categories',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    frequency: {
+      type: DataTypes.ENUM('daily', 'weekly', 'monthly', 'yearly'),
+      allowNull: false,
+      defaultValue: 'monthly',
+      validate: {
+        isIn: {
+          args: [['daily', 'weekly', 'monthly', 'yearly']],
+          msg: 'Frequency must be one of: daily, weekly, monthly, yearly'
+        }
+      }
+    },
+    // Day of the month for monthly rules; defaults to the start date's day
+    dayOfMonth: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1,
+        max: 31
+      }
+    },
+    startDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    endDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    // Occurrences up to and including this date have been turned into expenses
+    lastGeneratedDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    // Occurrences the user chose to skip, as 'YYYY-MM-DD' strings
+    skippedDates: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'recurring_expenses',
+    timestamps: true,
+    underscored: true,
+    validate: {
+      endAfterStart() {
+        if (this.endDate && this.startDate && this.endDate < this.startDate) {
+          throw new Error('End date cannot be before start date');
+        }
+      }
+    }
+  });
+
+  RecurringExpense.associate = (models) => {
+    RecurringExpense.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+
+    RecurringExpense.hasMany(models.Expense, {
+      foreignKey: 'recurring_expense_id',
+      as: 'expenses'
+    });
+  };
+
+  return RecurringExpense;
+};
@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Opaque refresh tokens, stored as SHA-256 hashes. Each one is good for a
+  // single refresh: using it marks it used and issues the next token in the
+  // session. Used tokens are kept so a replayed one can be recognised.
+  const RefreshToken = sequelize.define('RefreshToken', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    sessionId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'sessions',
+        key: 'id'
+      }
+    },
+    tokenHash: {
+      type: DataTypes.CHAR(64),
+      allowNull: false,
+      unique: true
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'refresh_tokens',
+    timestamps: true,
+    underscored: true
+  });
+
+  RefreshToken.associate = (models) => {
+    RefreshToken.belongsTo(models.Session, {
+      foreignKey: 'sessionId',
+      as: 'session'
+    });
+  };
+
+  return RefreshToken;
+};
@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // One login on one device. Access tokens carry the session id and refresh
+  // tokens belong to a session, so revoking it logs that device out.
+  const Session = sequelize.define('Session', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    userAgent: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    ipAddress: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    // Last time the session refreshed its access token
+    lastSeenAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    // Pushed forward on every refresh; an idle session lapses at this time
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // logout, password_change, token_reuse, ...
+    revokedReason: {
+      type: DataTypes.STRING(30),
+      allowNull: true
+    }
+  }, {
+    tableName: 'sessions',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['user_id', 'revoked_at']
+      }
+    ]
+  });
+
+  Session.associate = (models) => {
+    Session.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+    Session.hasMany(models.RefreshToken, {
+      foreignKey: 'sessionId',
+      as: 'refreshTokens'
+    });
+  };
+
+  return Session;
+};
@@ -0,0 +1,105 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Settlement = sequelize.define('Settlement', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // The user paying back
+    fromUserId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // The user receiving the money
+    toUserId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        isDecimal: {
+          msg: 'Amount must be a valid decimal number'
+        },
+        min: {
+          args: [0.01],
+          msg: 'Amount must be greater than 0'
+        }
+      },
+      get() {
+        const value = this.getDataValue('amount');
+        return value === null ? null : parseFloat(value);
+      }
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'INR',
+      validate: {
+        is: {
+          args: /^[A-Z]{3}$/,
+          msg: 'Currency must be a 3-letter ISO 4217 code'
+        }
+      }
+    },
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    notes: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    createdById: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'settlements',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['from_user_id']
+      },
+      {
+        fields: ['to_user_id']
+      }
+    ]
+  });
+
+  Settlement.associate = (models) => {
+    Settlement.belongsTo(models.User, {
+      foreignKey: 'fromUserId',
+      as: 'fromUser'
+    });
+
+    Settlement.belongsTo(models.User, {
+      foreignKey: 'toUserId',
+      as: 'toUser'
+    });
+
+    Settlement.belongsTo(models.User, {
+      foreignKey: 'createdById',
+      as: 'createdBy'
+    });
+  };
+
+  return Settlement;
+};
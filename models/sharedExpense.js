@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const SharedExpense = sequelize.define('SharedExpense', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    expenseId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'expenses',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    payerId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    splitType: {
+      type: DataTypes.ENUM('equal', 'percentage', 'exact', 'shares'),
+      allowNull: false,
+      defaultValue: 'equal',
+      validate: {
+        isIn: {
+          args: [['equal', 'percentage', 'exact', 'shares']],
+          msg: 'Split type must be one of: equal, percentage, exact, shares'
+        }
+      }
+    }
+  }, {
+    tableName: 'shared_expenses',
+    timestamps: true,
+    underscored: true
+  });
+
+  SharedExpense.associate = (models) => {
+    SharedExpense.belongsTo(models.Expense, {
+      foreignKey: 'expenseId',
+      as: 'expense'
+    });
+
+    SharedExpense.belongsTo(models.User, {
+      foreignKey: 'payerId',
+      as: 'payer'
+    });
+
+    SharedExpense.hasMany(models.ExpenseShare, {
+      foreignKey: 'sharedExpenseId',
+      as: 'shares'
+    });
+  };
+
+  return SharedExpense;
+};
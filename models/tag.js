@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Tag = sequelize.define('Tag', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // Lower-case label such as "trip-goa-2026" or "reimbursable"
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: 'Tag name cannot be empty'
+        },
+        len: {
+          args: [1, 50],
+          msg: 'Tag name must be between 1 and 50 characters'
+        },
+        is: {
+          args: /^[^,\s]+$/,
+          msg: 'Tag names cannot contain commas or spaces'
+        }
+      }
+    }
+  }, {
+    tableName: 'tags',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['user_id', 'name']
+      }
+    ]
+  });
+
+  Tag.associate = (models) => {
+    Tag.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+
+    Tag.belongsToMany(models.Expense, {
+      through: models.ExpenseTag,
+      foreignKey: 'tagId',
+      otherKey: 'expenseId',
+      as: 'expenses'
+    });
+  };
+
+  return Tag;
+};
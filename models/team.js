@@ -27,6 +27,14 @@ module.exports = (sequelize) => {
       type: DataTypes.ENUM('pending', 'active'),
       defaultValue: 'pending'
     },
+    ownerId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
     invitedById: {
       type: DataTypes.INTEGER,
       allowNull: false,
@@ -58,6 +66,11 @@ module.exports = (sequelize) => {
   });
 
   TeamMember.associate = (models) => {
+    TeamMember.belongsTo(models.User, {
+      foreignKey: 'ownerId',
+      as: 'owner'
+    });
+
     TeamMember.belongsTo(models.User, {
       foreignKey: 'invitedById',
       as: 'invitedBy'
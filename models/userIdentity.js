@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // An external login (Google, GitHub, ...) linked to a user. The provider's
+  // subject id is what we match on; the email is kept for display only.
+  const UserIdentity = sequelize.define('UserIdentity', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    provider: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    subject: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    email: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    lastLoginAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'user_identities',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['provider', 'subject']
+      },
+      {
+        // One account per provider per user
+        unique: true,
+        fields: ['user_id', 'provider']
+      }
+    ]
+  });
+
+  UserIdentity.associate = (models) => {
+    UserIdentity.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return UserIdentity;
+};
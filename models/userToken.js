@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Single-use tokens mailed to users (and the login challenge handed out
+  // between the password and 2FA steps). Only a SHA-256 hash of the token is
+  // stored, so a leaked table cannot be used to verify or reset accounts.
+  const UserToken = sequelize.define('UserToken', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    purpose: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [['email_verification', 'password_reset', 'login_challenge']],
+          msg: 'Purpose must be one of: email_verification, password_reset, login_challenge'
+        }
+      }
+    },
+    tokenHash: {
+      type: DataTypes.CHAR(64),
+      allowNull: false,
+      unique: true
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    // Set when the token is redeemed or superseded by a newer one
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'user_tokens',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['user_id', 'purpose']
+      }
+    ]
+  });
+
+  UserToken.associate = (models) => {
+    UserToken.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return UserToken;
+};
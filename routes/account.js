@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { formatDateOnly } = require('../utils/periods');
+const { collectAccountData, sendAccountExport } = require('../utils/accountExport');
+const {
+  GRACE_PERIOD_DAYS,
+  findUnsettledBalances,
+  scheduleAccountDeletion,
+  cancelAccountDeletion
+} = require('../utils/accountDeletion');
+const { sendAccountDeletionEmail } = require('../utils/accountEmails');
+
+// Deleting needs the password. Accounts created through an external login
+// have none, so they confirm by typing their email address instead.
+const confirmDeletion = async (req) => {
+  const user = await User.findByPk(req.user.id);
+
+  if (user.password) {
+    return (await user.comparePassword(req.body.password)) ? user : null;
+  }
+  const email = String(req.body.email || '').trim().toLowerCase();
+  return email && email === user.email.toLowerCase() ? user : null;
+};
+
+// @route   GET /api/account/export
+// @desc    Download everything held on the account as a zip: profile,
+//          expenses, budgets, income, recurring expenses, categories, tags,
+//          notifications and their preferences, sessions, linked logins,
+//          document metadata and the uploaded files
+// @access  Private
+router.get('/export', auth, async (req, res) => {
+  try {
+    const data = await collectAccountData(req.user.id);
+    const filename = `account-export-${req.user.username}-${formatDateOnly(new Date())}`;
+
+    await sendAccountExport(res, data, filename);
+  } catch (error) {
+    console.error('Error exporting account:', error);
+
+    // Once the zip has started the status is sent; all we can do is cut it off
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting account'
+    });
+  }
+});
+
+// @route   DELETE /api/account
+// @desc    Schedule the account for deletion after the grace period
+//          (ACCOUNT_DELETION_GRACE_DAYS, default 14). Body: password, or
+//          email for accounts without a password. Logs out other devices
+//          and revokes personal access tokens. Only POST /cancel-deletion
+//          stops it; logging in does not. Refused while the user still
+//          owes or is owed money on shared expenses.
+// @access  Private
+router.delete('/', auth, async (req, res) => {
+  try {
+    const user = await confirmDeletion(req);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Please confirm with your password (or your email address if you have no password)'
+      });
+    }
+
+    if (user.deletion_scheduled_for) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account deletion is already scheduled',
+        deletionScheduledFor: user.deletion_scheduled_for
+      });
+    }
+
+    const unsettled = await findUnsettledBalances(user);
+    if (unsettled.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Settle up your shared expenses before deleting your account. ' +
+          'Record a settlement with each person listed here.',
+        unsettled
+      });
+    }
+
+    const scheduledFor = await scheduleAccountDeletion(user, { exceptSessionId: req.sessionId });
+
+    try {
+      await sendAccountDeletionEmail(user, scheduledFor);
+    } catch (error) {
+      console.error(`Error sending deletion email to user ${user.id}:`, error.message);
+    }
+
+    res.json({
+      success: true,
+      message: `Your account will be deleted in ${GRACE_PERIOD_DAYS} day(s). ` +
+        'Logging in does not stop this; cancel it from your account settings before then.',
+      deletionScheduledFor: scheduledFor
+    });
+  } catch (error) {
+    console.error('Error scheduling account deletion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while scheduling account deletion'
+    });
+  }
+});
+
+// @route   POST /api/account/cancel-deletion
+// @desc    Keep the account: cancel a scheduled deletion
+// @access  Private
+router.post('/cancel-deletion', auth, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+
+    if (!user.deletion_scheduled_for) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account deletion is not scheduled'
+      });
+    }
+
+    await cancelAccountDeletion(user);
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    console.error('Error cancelling account deletion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling account deletion'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,369 @@
+const express = require('express');
+const router = express.Router();
+const { check, query } = require('express-validator');
+const { Op, fn, col } = require('sequelize');
+const {
+  User,
+  Expense,
+  Budget,
+  Document,
+  Income,
+  Session,
+  LockoutEvent
+} = require('../models');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const { escapeLike } = require('../utils/expenseFilters');
+const { revokeUserSessions } = require('../utils/sessions');
+const { unlockAccount } = require('../utils/loginThrottle');
+
+const ROLES = ['user', 'admin'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Everything here is admin-only
+router.use(auth, authorize('admin'));
+
+const USER_ATTRIBUTES = [
+  'id',
+  'name',
+  'username',
+  'email',
+  'role',
+  'is_active',
+  'email_verified_at',
+  'totp_enabled_at',
+  'locked_until',
+  'last_login',
+  'home_currency',
+  'createdAt'
+];
+
+const findTargetUser = (req) => User.findByPk(req.params.id, { attributes: USER_ATTRIBUTES });
+
+const userNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'User not found'
+});
+
+// @route   GET /api/admin/users
+// @desc    List users. Filters: search (name, username or email), role,
+//          active=true|false. Paging: page + limit.
+// @access  Admin
+router.get(
+  '/users',
+  [
+    query('search', 'search must be at most 100 characters').optional().isString().isLength({ max: 100 }),
+    query('role', `Role must be one of: ${ROLES.join(', ')}`).optional().isIn(ROLES),
+    query('active', 'active must be true or false').optional().isBoolean(),
+    query('page', 'page must be a positive integer').optional().isInt({ min: 1 }),
+    query('limit', 'limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 })
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit || 25, 10);
+      const page = parseInt(req.query.page || 1, 10);
+      const where = {};
+
+      if (req.query.search && req.query.search.trim()) {
+        const pattern = `%${escapeLike(req.query.search.trim())}%`;
+        where[Op.or] = [
+          { name: { [Op.like]: pattern } },
+          { username: { [Op.like]: pattern } },
+          { email: { [Op.like]: pattern } }
+        ];
+      }
+      if (req.query.role) {
+        where.role = req.query.role;
+      }
+      if (req.query.active !== undefined) {
+        where.is_active = req.query.active === 'true';
+      }
+
+      const { count, rows } = await User.findAndCountAll({
+        where,
+        attributes: USER_ATTRIBUTES,
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      res.json({
+        success: true,
+        count: rows.length,
+        total: count,
+        data: rows,
+        pagination: {
+          limit,
+          page,
+          totalPages: Math.ceil(count / limit)
+        }
+      });
+    } catch (err) {
+      console.error('Error listing users:', err);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/users/:id
+// @desc    One user with usage counts and recent lockouts
+// @access  Admin
+router.get('/users/:id', async (req, res) => {
+  try {
+    const user = await findTargetUser(req);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    const [expenses, budgets, documents, activeSessions, lockouts] = await Promise.all([
+      Expense.count({ where: { user_id: user.id } }),
+      Budget.count({ where: { userId: user.id } }),
+      Document.count({ where: { userId: user.id } }),
+      Session.count({
+        where: { userId: user.id, revokedAt: null, expiresAt: { [Op.gt]: new Date() } }
+      }),
+      LockoutEvent.findAll({
+        where: { userId: user.id },
+        order: [['createdAt', 'DESC']],
+        limit: 10
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...user.get({ plain: true }),
+        usage: { expenses, budgets, documents, activeSessions },
+        lockouts
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching user:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/activate
+// @desc    Re-enable a deactivated account
+// @access  Admin
+router.put('/users/:id/activate', async (req, res) => {
+  try {
+    const user = await findTargetUser(req);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    await user.update({ is_active: true });
+    console.log(`User ${user.id} activated by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (err) {
+    console.error('Error activating user:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/deactivate
+// @desc    Disable an account and log it out everywhere
+// @access  Admin
+router.put('/users/:id/deactivate', async (req, res) => {
+  try {
+    const user = await findTargetUser(req);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
+    await user.update({ is_active: false });
+    await revokeUserSessions(user.id, 'deactivated');
+    console.log(`User ${user.id} deactivated by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (err) {
+    console.error('Error deactivating user:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  Admin
+router.put(
+  '/users/:id/role',
+  [check('role', `Role must be one of: ${ROLES.join(', ')}`).isIn(ROLES)],
+  validate,
+  async (req, res) => {
+    try {
+      const user = await findTargetUser(req);
+      if (!user) {
+        return userNotFound(res);
+      }
+
+      // Keeps at least one admin around to undo mistakes
+      if (user.id === req.user.id && req.body.role !== 'admin') {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot remove your own admin role'
+        });
+      }
+
+      await user.update({ role: req.body.role });
+      console.log(`User ${user.id} given role ${user.role} by admin ${req.user.id}`);
+
+      res.json({
+        success: true,
+        data: user
+      });
+    } catch (err) {
+      console.error('Error changing user role:', err);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/users/:id/unlock
+// @desc    Lift a login lockout before it expires
+// @access  Admin
+router.post('/users/:id/unlock', async (req, res) => {
+  try {
+    const user = await findTargetUser(req);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    const unlocked = await unlockAccount(user);
+    console.log(`User ${user.id} unlocked by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Account unlocked',
+      lockoutsCleared: unlocked
+    });
+  } catch (err) {
+    console.error('Error unlocking user:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/stats
+// @desc    Aggregate usage across all users
+// @access  Admin
+router.get('/stats', async (req, res) => {
+  try {
+    const now = new Date();
+    const monthAgo = new Date(now.getTime() - 30 * DAY_MS);
+    const dayAgo = new Date(now.getTime() - DAY_MS);
+
+    const [
+      users,
+      activeUsers,
+      verifiedUsers,
+      admins,
+      twoFactorUsers,
+      newUsers,
+      activeSessions,
+      lockouts,
+      expensesByCurrency,
+      budgets,
+      income,
+      documents
+    ] = await Promise.all([
+      User.count(),
+      User.count({ where: { is_active: true } }),
+      User.count({ where: { email_verified_at: { [Op.ne]: null } } }),
+      User.count({ where: { role: 'admin' } }),
+      User.count({ where: { totp_enabled_at: { [Op.ne]: null } } }),
+      User.count({ where: { createdAt: { [Op.gte]: monthAgo } } }),
+      Session.count({ where: { revokedAt: null, expiresAt: { [Op.gt]: now } } }),
+      LockoutEvent.count({ where: { createdAt: { [Op.gte]: dayAgo } } }),
+      Expense.findAll({
+        attributes: [
+          'currency',
+          [fn('COUNT', col('id')), 'count'],
+          [fn('SUM', col('amount')), 'total']
+        ],
+        group: ['currency'],
+        raw: true
+      }),
+      Budget.count(),
+      Income.count(),
+      Document.findOne({
+        attributes: [
+          [fn('COUNT', col('id')), 'count'],
+          [fn('SUM', col('file_size')), 'totalBytes']
+        ],
+        raw: true
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        users: {
+          total: users,
+          active: activeUsers,
+          verified: verifiedUsers,
+          admins,
+          twoFactor: twoFactorUsers,
+          newLast30Days: newUsers
+        },
+        activeSessions,
+        lockoutsLast24Hours: lockouts,
+        expenses: {
+          count: expensesByCurrency.reduce((sum, row) => sum + Number(row.count), 0),
+          byCurrency: expensesByCurrency.map(row => ({
+            currency: row.currency,
+            count: Number(row.count),
+            total: Math.round(parseFloat(row.total || 0) * 100) / 100
+          }))
+        },
+        budgets,
+        income,
+        documents: {
+          count: Number(documents.count),
+          totalBytes: Number(documents.totalBytes || 0)
+        }
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching admin stats:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
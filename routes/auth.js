@@ -2,9 +2,34 @@ const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { check, validationResult } = require('express-validator');
+const { check } = require('express-validator');
 const { Op } = require('sequelize');
 const User = require('../models/User');
+const { Session, PersonalAccessToken, UserIdentity, sequelize } = require('../models');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { normalizeCurrency } = require('../utils/currency');
+const { issueUserToken, findUserToken, consumeUserToken } = require('../utils/userTokens');
+const { isTwoFactorEnabled, verifySecondFactor, countBackupCodes } = require('../utils/twoFactor');
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('../utils/loginThrottle');
+const { SCOPES, createAccessToken, serializeAccessToken } = require('../utils/accessTokens');
+const {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_MS,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  findSessionByRefreshToken
+} = require('../utils/sessions');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/accountEmails');
+const {
+  listProviders,
+  getProvider,
+  createAuthorizationRequest,
+  completeAuthorization
+} = require('../utils/oidc');
+const { resolveLoginUser, linkIdentity, unlinkIdentity, serializeIdentity } = require('../utils/identities');
 
 // CORS configuration for auth routes
 const cors = require('cors');
@@ -59,40 +84,131 @@ const corsOptions = {
 
 router.use(cors(corsOptions));
 
-// Helper function to generate JWT token
-const generateToken = (user) => {
+const cookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict'
+};
+
+// The refresh token cookie is only sent to the auth routes
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+// Send a fresh token pair as cookies and in the body (for non-browser clients)
+const sendTokens = (res, { accessToken, refreshToken }, extra = {}) => {
+  res.cookie('token', accessToken, {
+    ...cookieOptions,
+    maxAge: ACCESS_TOKEN_TTL_SECONDS * 1000
+  });
+  res.cookie('refreshToken', refreshToken, {
+    ...cookieOptions,
+    path: REFRESH_COOKIE_PATH,
+    maxAge: REFRESH_TOKEN_TTL_MS
+  });
+
+  res.json({
+    success: true,
+    ...extra,
+    token: accessToken,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  });
+};
+
+const clearTokens = (res) => {
+  res.clearCookie('token', cookieOptions);
+  res.clearCookie('refreshToken', { ...cookieOptions, path: REFRESH_COOKIE_PATH });
+};
+
+// The values a provider login must come back with (state, nonce, PKCE
+// verifier) wait in a signed cookie between /start and /callback
+const OIDC_COOKIE = 'oidcState';
+const OIDC_COOKIE_PATH = `${REFRESH_COOKIE_PATH}/oidc`;
+const OIDC_STATE_TTL_SECONDS = 10 * 60;
+
+// No fallback: a guessable key would let anyone forge the userId that
+// links a provider account
+const oidcSecret = () => {
   if (!process.env.JWT_SECRET) {
     console.error('JWT_SECRET is not set in environment variables');
     throw new Error('Server configuration error');
   }
-  
-  return jwt.sign(
-    {
-      id: user.id,
-      email: user.email
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: '7d' }
+  return process.env.JWT_SECRET;
+};
+
+const startProviderLogin = async (res, provider, userId = null) => {
+  const { url, state, nonce, codeVerifier } = await createAuthorizationRequest(provider);
+  const pending = jwt.sign(
+    { provider: provider.id, state, nonce, codeVerifier, userId },
+    oidcSecret(),
+    { expiresIn: OIDC_STATE_TTL_SECONDS }
   );
+
+  res.cookie(OIDC_COOKIE, pending, {
+    ...cookieOptions,
+    path: OIDC_COOKIE_PATH,
+    maxAge: OIDC_STATE_TTL_SECONDS * 1000
+  });
+  res.json({ success: true, url });
 };
 
-// Input validation middleware
-const validate = (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ 
-      success: false,
-      errors: errors.array().map(err => ({
-        field: err.param,
-        message: err.msg
-      }))
-    });
+const sendOidcError = (res, error, action) => {
+  if (error.name === 'OidcError') {
+    return res.status(error.status).json({ success: false, message: error.message });
   }
-  next();
+  console.error(`Error during ${action}:`, error);
+  res.status(500).json({ success: false, message: `Server error during ${action}` });
+};
+
+const readRefreshToken = (req) =>
+  (req.cookies && req.cookies.refreshToken) || (req.body && req.body.refreshToken) || null;
+
+// User fields that never leave the server
+const PRIVATE_USER_FIELDS = ['password', 'totp_secret', 'totp_last_step'];
+
+const toUserData = (user) => {
+  const userData = user.get({ plain: true });
+  PRIVATE_USER_FIELDS.forEach(field => delete userData[field]);
+  return userData;
+};
+
+const tooManyAttempts = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+    retryAfter
+  });
 };
 
+// Last step of a successful login: record it, open a session, send tokens
+const completeLogin = async (user, req, res, extra = {}) => {
+  user.last_login = new Date();
+  await user.save();
+
+  const tokens = await createSession(user, req);
+  sendTokens(res, tokens, { user: toUserData(user), ...extra });
+};
+
+// Issue a verification token and email it. A mail failure is logged, not
+// raised: the user can ask for another link via /resend-verification.
+const sendVerification = async (user) => {
+  try {
+    await sendVerificationEmail(user, await issueUserToken(user.id, 'email_verification'));
+  } catch (error) {
+    console.error(`Error sending verification email to user ${user.id}:`, error.message);
+  }
+};
+
+// Same reply whether or not the address belongs to an account, so these
+// endpoints can't be used to discover who is registered
+const sendGenericEmailResponse = (res) => res.json({
+  success: true,
+  message: 'If an account exists for that email, we have sent it a link.'
+});
+
 // @route   POST /api/auth/register
-// @desc    Register a new user
+// @desc    Register a new user and email them a verification link.
+//          The account can log in once the email is verified.
 // @access  Public
 router.post(
   '/register',
@@ -100,12 +216,13 @@ router.post(
     check('name', 'Name is required').trim().notEmpty(),
     check('email', 'Please include a valid email').isEmail().normalizeEmail(),
     check('username', 'Username is required').trim().notEmpty(),
-    check('password', 'Password must be at least 6 characters').isLength({ min: 6 })
+    check('password', 'Password must be at least 6 characters').isLength({ min: 6 }),
+    check('homeCurrency', 'Home currency must be a 3-letter ISO 4217 code').optional().isISO4217()
   ],
   validate,
   async (req, res) => {
     try {
-      const { name, email, username, password } = req.body;
+      const { name, email, username, password, homeCurrency } = req.body;
 
       // Check if user already exists
       const existingUser = await User.findOne({
@@ -134,28 +251,17 @@ router.post(
         email,
         username,
         password,
-        role: 'user'
-      });
-
-      // Generate JWT token
-      const token = generateToken(user);
-
-      // Set HTTP-only cookie
-      res.cookie('token', token, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'strict',
-        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+        role: 'user',
+        home_currency: normalizeCurrency(homeCurrency) || undefined
       });
 
-      // Return user data (excluding password)
-      const userData = user.get({ plain: true });
-      delete userData.password;
+      await sendVerification(user);
 
       res.status(201).json({
         success: true,
-        user: userData,
-        token
+        message: 'Registration successful. Check your email to verify your address before logging in.',
+        verificationRequired: true,
+        user: toUserData(user)
       });
     } catch (error) {
       console.error('Registration error:', error);
@@ -169,7 +275,7 @@ router.post(
 );
 
 // @route   POST /api/auth/login
-// @desc    Authenticate user & get token
+// @desc    Authenticate user & get an access token plus a refresh token
 // @access  Public
 router.post(
   '/login',
@@ -181,16 +287,19 @@ router.post(
   async (req, res) => {
     try {
       const { email, password } = req.body;
-
-      console.log('Login attempt for email:', email);
       
       // Find user by email
       const user = await User.findOne({ 
         where: { email: email.toLowerCase() }
       });
 
+      const throttle = await checkLoginAllowed({ ip: req.ip, email, user });
+      if (!throttle.allowed) {
+        return tooManyAttempts(res, throttle.retryAfter);
+      }
+
       if (!user) {
-        console.log('No user found with email:', email);
+        await recordLoginFailure({ ip: req.ip, email, user: null });
         return res.status(401).json({
           success: false,
           message: 'Invalid email or password'
@@ -206,45 +315,105 @@ router.post(
       }
 
       // Verify password
-      console.log('Checking password for user:', user.email);
       const isMatch = await user.comparePassword(password);
-      console.log('Password match result:', isMatch);
       
       if (!isMatch) {
-        console.log('Password does not match for user:', user.email);
+        await recordLoginFailure({ ip: req.ip, email, user });
         return res.status(401).json({
           success: false,
           message: 'Invalid email or password'
         });
       }
-      
-      // Update last login
-      user.last_login = new Date();
-      await user.save();
-      
-      // Get user data without password
-      const userData = user.get({ plain: true });
-      delete userData.password;
-      
-      // Generate JWT token with user data
-      const token = generateToken(userData);
-      
-      // Set HTTP-only cookie
-      res.cookie('token', token, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'strict',
-        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+
+      if (!user.email_verified_at) {
+        return res.status(403).json({
+          success: false,
+          message: 'Please verify your email address before logging in.',
+          verificationRequired: true
+        });
+      }
+
+      // With 2FA the password only earns a challenge token; the session is
+      // opened by POST /api/auth/login/2fa
+      if (isTwoFactorEnabled(user)) {
+        const { token: challengeToken, expiresAt } = await issueUserToken(user.id, 'login_challenge');
+        return res.json({
+          success: true,
+          twoFactorRequired: true,
+          challengeToken,
+          expiresAt
+        });
+      }
+
+      await recordLoginSuccess({ email, user });
+      await completeLogin(user, req, res);
+    } catch (error) {
+      console.error('Login error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error during login',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
+    }
+  }
+);
 
-      // Return success response with user data and token
-      res.json({
-        success: true,
-        user: userData,
-        token: token
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step for accounts with 2FA: the challenge token from
+//          /login plus an authenticator code or a backup code
+// @access  Public (challenge token)
+router.post(
+  '/login/2fa',
+  [
+    check('challengeToken', 'Challenge token is required').trim().notEmpty(),
+    check('code', 'Authentication code is required').trim().notEmpty()
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { challengeToken, code } = req.body;
+      const expired = () => res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired. Please log in again.'
       });
+
+      // Checked before it is redeemed so a mistyped code can be retried
+      const challenge = await findUserToken(challengeToken, 'login_challenge');
+      if (!challenge) {
+        return expired();
+      }
+
+      const user = await User.findByPk(challenge.userId);
+      if (!user || !user.is_active || !isTwoFactorEnabled(user)) {
+        return expired();
+      }
+
+      // Codes are guessable too, so failures count towards the lockout
+      const throttle = await checkLoginAllowed({ ip: req.ip, email: user.email, user });
+      if (!throttle.allowed) {
+        return tooManyAttempts(res, throttle.retryAfter);
+      }
+
+      const method = await verifySecondFactor(user, code);
+      if (!method) {
+        await recordLoginFailure({ ip: req.ip, email: user.email, user });
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid authentication code'
+        });
+      }
+
+      if (!(await consumeUserToken(challengeToken, 'login_challenge'))) {
+        return expired();
+      }
+
+      await recordLoginSuccess({ email: user.email, user });
+
+      await completeLogin(user, req, res, method === 'backup_code'
+        ? { backupCodesRemaining: await countBackupCodes(user.id) }
+        : {});
     } catch (error) {
-      console.error('Login error:', error);
+      console.error('2FA login error:', error);
       res.status(500).json({
         success: false,
         message: 'Server error during login',
@@ -254,12 +423,179 @@ router.post(
   }
 );
 
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the token from the verification email
+// @access  Public
+router.post(
+  '/verify-email',
+  [check('token', 'Verification token is required').trim().notEmpty()],
+  validate,
+  async (req, res) => {
+    try {
+      const userId = await consumeUserToken(req.body.token, 'email_verification');
+      // The account may have been deleted since the link was sent
+      const user = userId && await User.findByPk(userId);
+
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: 'This verification link is invalid or has expired'
+        });
+      }
+
+      if (!user.email_verified_at) {
+        await user.update({ email_verified_at: new Date() });
+      }
+
+      res.json({
+        success: true,
+        message: 'Email verified. You can now log in.'
+      });
+    } catch (error) {
+      console.error('Email verification error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error during email verification'
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Email a fresh verification link (older links stop working)
+// @access  Public
+router.post(
+  '/resend-verification',
+  [check('email', 'Please include a valid email').isEmail().normalizeEmail()],
+  validate,
+  async (req, res) => {
+    try {
+      const user = await User.findOne({ where: { email: req.body.email } });
+
+      if (user && !user.email_verified_at) {
+        await sendVerification(user);
+      }
+
+      sendGenericEmailResponse(res);
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while sending verification email'
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post(
+  '/forgot-password',
+  [check('email', 'Please include a valid email').isEmail().normalizeEmail()],
+  validate,
+  async (req, res) => {
+    try {
+      const user = await User.findOne({ where: { email: req.body.email } });
+
+      if (user && user.is_active) {
+        try {
+          await sendPasswordResetEmail(user, await issueUserToken(user.id, 'password_reset'));
+        } catch (error) {
+          console.error(`Error sending password reset email to user ${user.id}:`, error.message);
+        }
+      }
+
+      sendGenericEmailResponse(res);
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while requesting password reset'
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the token from the reset email. Following
+//          the emailed link also proves the address, so it counts as verified.
+// @access  Public
+router.post(
+  '/reset-password',
+  [
+    check('token', 'Reset token is required').trim().notEmpty(),
+    check('password', 'Password must be at least 6 characters').isLength({ min: 6 })
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { token, password } = req.body;
+
+      const reset = await sequelize.transaction(async (transaction) => {
+        const userId = await consumeUserToken(token, 'password_reset', transaction);
+        const user = userId && await User.findByPk(userId, { transaction });
+        if (!user) {
+          return false;
+        }
+
+        user.password = password;
+        if (!user.email_verified_at) {
+          user.email_verified_at = new Date();
+        }
+        // Proving control of the inbox also lifts a login lockout
+        user.locked_until = null;
+        await user.save({ transaction });
+
+        // Whoever knew the old password is logged out everywhere
+        await revokeUserSessions(user.id, 'password_change', { transaction });
+        return true;
+      });
+
+      if (!reset) {
+        return res.status(400).json({
+          success: false,
+          message: 'This reset link is invalid or has expired'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Password updated. You can now log in with your new password.'
+      });
+    } catch (error) {
+      console.error('Password reset error:', error);
+
+      if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.errors.map(e => e.message)
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error during password reset'
+      });
+    }
+  }
+);
+
 // @route   POST /api/auth/logout
-// @desc    Logout user / clear cookie
-// @access  Private
-router.post('/logout', (req, res) => {
+// @desc    Revoke the session behind the refresh token and clear the cookies
+// @access  Public
+router.post('/logout', async (req, res) => {
   try {
-    res.clearCookie('token');
+    const refreshToken = readRefreshToken(req);
+    if (refreshToken) {
+      const session = await findSessionByRefreshToken(refreshToken);
+      if (session && !session.revokedAt) {
+        await revokeSession(session, 'logout');
+      }
+    }
+
+    clearTokens(res);
     res.json({ success: true, message: 'Logged out successfully' });
   } catch (error) {
     console.error('Logout error:', error);
@@ -273,60 +609,9 @@ router.post('/logout', (req, res) => {
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
-router.get('/me', async (req, res) => {
+router.get('/me', auth, async (req, res) => {
   try {
-    // Get token from multiple possible sources
-    let token = null;
-    
-    // Check Authorization header with Bearer token (primary method)
-    const authHeader = req.header('Authorization');
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      token = authHeader.substring(7);
-    }
-    // Fallback to cookies or x-auth-token header
-    else if (req.cookies && req.cookies.token) {
-      token = req.cookies.token;
-    }
-    else if (req.header('x-auth-token')) {
-      token = req.header('x-auth-token');
-    }
-    
-    console.log('Auth /me endpoint token sources:', {
-      hasAuthHeader: !!authHeader,
-      hasCookieToken: !!req.cookies?.token,
-      hasXAuthToken: !!req.header('x-auth-token'),
-      token: token ? `${token.substring(0, 10)}...` : null
-    });
-    
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'No token, authorization denied'
-      });
-    }
-
-    // Verify token
-    if (!process.env.JWT_SECRET) {
-      console.error('JWT_SECRET is not set in environment variables');
-      return res.status(500).json({
-        success: false,
-        message: 'Server configuration error'
-      });
-    }
-    
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Get user from database
-    const user = await User.findByPk(decoded.id, {
-      attributes: { exclude: ['password'] }
-    });
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
+    const user = req.user;
 
     res.json({ 
       success: true, 
@@ -338,106 +623,494 @@ router.get('/me', async (req, res) => {
         role: user.role,
         isActive: user.isActive,
         lastLogin: user.lastLogin,
+        emailVerified: Boolean(user.email_verified_at),
+        twoFactorEnabled: isTwoFactorEnabled(user),
+        homeCurrency: user.home_currency,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt
       }
     });
   } catch (error) {
-    console.error('Auth error:', error);
-    res.status(401).json({
+    console.error('Error fetching current user:', error);
+    res.status(500).json({
       success: false,
-      message: 'Token is not valid'
+      message: 'Server error'
     });
   }
 });
 
-// @route   POST /api/auth/refresh-token
-// @desc    Refresh the JWT token
+// @route   PUT /api/auth/me
+// @desc    Update profile settings (name, homeCurrency)
 // @access  Private
-router.post('/refresh-token', async (req, res) => {
-  try {
-    // Get refresh token from multiple possible sources
-    let token = null;
-    
-    // Check cookies first
-    if (req.cookies && req.cookies.token) {
-      token = req.cookies.token;
+router.put(
+  '/me',
+  [
+    auth,
+    check('name', 'Name cannot be empty').optional().trim().notEmpty(),
+    check('homeCurrency', 'Home currency must be a 3-letter ISO 4217 code').optional().isISO4217()
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { name, homeCurrency } = req.body;
+      const user = await User.findByPk(req.user.id);
+
+      await user.update({
+        name: name || user.name,
+        home_currency: normalizeCurrency(homeCurrency) || user.home_currency
+      });
+
+      res.json({
+        success: true,
+        user: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          username: user.username,
+          homeCurrency: user.home_currency
+        }
+      });
+    } catch (error) {
+      console.error('Profile update error:', error);
+
+      if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.errors.map(e => e.message)
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while updating profile'
+      });
     }
-    // Then check x-auth-token header
-    else if (req.header('x-auth-token')) {
-      token = req.header('x-auth-token');
+  }
+);
+
+// @route   POST /api/auth/change-password
+// @desc    Change the password. Other sessions are logged out; this one stays.
+// @access  Private
+router.post(
+  '/change-password',
+  [
+    auth,
+    check('currentPassword', 'Current password is required').notEmpty(),
+    check('newPassword', 'New password must be at least 6 characters').isLength({ min: 6 })
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.body;
+      const user = await User.findByPk(req.user.id);
+
+      if (!user.password) {
+        return res.status(400).json({
+          success: false,
+          message: 'This account has no password yet. Use "forgot password" to set one.'
+        });
+      }
+
+      if (!(await user.comparePassword(currentPassword))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Current password is incorrect'
+        });
+      }
+
+      const revoked = await sequelize.transaction(async (transaction) => {
+        user.password = newPassword;
+        await user.save({ transaction });
+        return revokeUserSessions(user.id, 'password_change', {
+          exceptSessionId: req.sessionId,
+          transaction
+        });
+      });
+
+      res.json({
+        success: true,
+        message: 'Password changed',
+        sessionsRevoked: revoked
+      });
+    } catch (error) {
+      console.error('Change password error:', error);
+
+      if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.errors.map(e => e.message)
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while changing password'
+      });
     }
-    // Then check Authorization header with Bearer token
-    else if (req.header('Authorization')) {
-      const authHeader = req.header('Authorization');
-      if (authHeader.startsWith('Bearer ')) {
-        token = authHeader.substring(7);
+  }
+);
+
+// @route   GET /api/auth/sessions
+// @desc    List the devices the user is logged in on, most recently used first
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.findAll({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      order: [['lastSeenAt', 'DESC'], ['id', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        id: session.id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Log out one device. Its access and refresh tokens stop working.
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      where: {
+        id: req.params.id,
+        userId: req.user.id,
+        revokedAt: null
       }
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
     }
-    // Finally check request body
-    else if (req.body && req.body.token) {
-      token = req.body.token;
+
+    await revokeSession(session, 'user');
+
+    if (session.id === req.sessionId) {
+      clearTokens(res);
     }
-    
-    console.log('Token refresh attempt with token sources:', {
-      hasCookieToken: !!req.cookies?.token,
-      hasXAuthToken: !!req.header('x-auth-token'),
-      hasAuthHeader: !!req.header('Authorization'),
-      hasBodyToken: !!(req.body && req.body.token),
-      token: token ? `${token.substring(0, 10)}...` : null
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
     });
-    
-    if (!token) {
-      return res.status(401).json({
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session'
+    });
+  }
+});
+
+// @route   GET /api/auth/tokens
+// @desc    List personal access tokens (revoked ones are left out)
+// @access  Private
+router.get('/tokens', auth, async (req, res) => {
+  try {
+    const tokens = await PersonalAccessToken.findAll({
+      where: { userId: req.user.id, revokedAt: null },
+      order: [['createdAt', 'DESC'], ['id', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      count: tokens.length,
+      scopes: SCOPES,
+      data: tokens.map(serializeAccessToken)
+    });
+  } catch (error) {
+    console.error('Error fetching access tokens:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching access tokens'
+    });
+  }
+});
+
+// @route   POST /api/auth/tokens
+// @desc    Create a personal access token for scripts and integrations.
+//          Body: name, scopes (array), expiresAt (optional, ISO 8601).
+//          The token is only shown in this response.
+// @access  Private
+router.post(
+  '/tokens',
+  [
+    auth,
+    check('name', 'Name is required (up to 100 characters)').trim().isLength({ min: 1, max: 100 }),
+    check('scopes', 'Scopes must be a non-empty array').isArray({ min: 1 }),
+    check('scopes.*', `Scopes must be one of: ${SCOPES.join(', ')}`).isIn(SCOPES),
+    check('expiresAt', 'expiresAt must be a date in the future')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .custom(value => new Date(value) > new Date())
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { name, scopes, expiresAt } = req.body;
+
+      const { record, token } = await createAccessToken(req.user.id, {
+        name,
+        scopes,
+        expiresAt: expiresAt ? new Date(expiresAt) : null
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Copy this token now; it will not be shown again.',
+        token,
+        data: serializeAccessToken(record)
+      });
+    } catch (error) {
+      console.error('Error creating access token:', error);
+
+      if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.errors.map(e => e.message)
+        });
+      }
+
+      res.status(500).json({
         success: false,
-        message: 'No token, authorization denied'
+        message: 'Server error while creating access token'
       });
     }
+  }
+);
 
-    // Verify the existing token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret');
-    
-    // Get user from database
-    const user = await User.findByPk(decoded.id, {
-      attributes: { exclude: ['password'] }
+// @route   DELETE /api/auth/tokens/:id
+// @desc    Revoke a personal access token
+// @access  Private
+router.delete('/tokens/:id', auth, async (req, res) => {
+  try {
+    const token = await PersonalAccessToken.findOne({
+      where: {
+        id: req.params.id,
+        userId: req.user.id,
+        revokedAt: null
+      }
     });
 
-    if (!user) {
+    if (!token) {
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        message: 'Access token not found'
       });
     }
 
-    // Generate a new token
-    const userData = user.get({ plain: true });
-    delete userData.password;
-    
-    const newToken = generateToken(userData);
-    
-    // Set HTTP-only cookie with new token
-    res.cookie('token', newToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+    await token.update({ revokedAt: new Date() });
+
+    res.json({
+      success: true,
+      message: 'Access token revoked'
+    });
+  } catch (error) {
+    console.error('Error revoking access token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking access token'
+    });
+  }
+});
+
+// @route   GET /api/auth/oidc/providers
+// @desc    External login providers that are configured (Google, GitHub, ...)
+// @access  Public
+router.get('/oidc/providers', (req, res) => {
+  res.json({ success: true, data: listProviders() });
+});
+
+// @route   POST /api/auth/oidc/:provider/start
+// @desc    Begin logging in with a provider. Returns the URL to send the
+//          browser to; the provider redirects back to APP_URL/login/oauth/:provider.
+// @access  Public
+router.post('/oidc/:provider/start', async (req, res) => {
+  try {
+    await startProviderLogin(res, getProvider(req.params.provider));
+  } catch (error) {
+    sendOidcError(res, error, 'provider login');
+  }
+});
+
+// @route   POST /api/auth/oidc/:provider/link
+// @desc    Begin linking a provider account to the logged-in user
+// @access  Private
+router.post('/oidc/:provider/link', auth, async (req, res) => {
+  try {
+    await startProviderLogin(res, getProvider(req.params.provider), req.user.id);
+  } catch (error) {
+    sendOidcError(res, error, 'provider linking');
+  }
+});
+
+// @route   POST /api/auth/oidc/:provider/callback
+// @desc    Finish a provider login or link with the code and state from the
+//          redirect. Logins answer like /login (tokens, or a 2FA challenge).
+// @access  Public (state cookie from /start or /link)
+router.post(
+  '/oidc/:provider/callback',
+  [
+    check('code', 'Authorization code is required').trim().notEmpty(),
+    check('state', 'State is required').trim().notEmpty()
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const provider = getProvider(req.params.provider);
+
+      const secret = oidcSecret();
+      let pending = null;
+      try {
+        pending = jwt.verify((req.cookies && req.cookies[OIDC_COOKIE]) || '', secret);
+      } catch (error) {
+        pending = null;
+      }
+      res.clearCookie(OIDC_COOKIE, { ...cookieOptions, path: OIDC_COOKIE_PATH });
+
+      if (!pending || pending.provider !== provider.id || pending.state !== req.body.state) {
+        return res.status(400).json({
+          success: false,
+          message: 'This login attempt has expired or did not start here. Please try again.'
+        });
+      }
+
+      const profile = await completeAuthorization(provider, {
+        code: req.body.code,
+        codeVerifier: pending.codeVerifier,
+        nonce: pending.nonce
+      });
+
+      if (pending.userId) {
+        const identity = await linkIdentity(pending.userId, provider, profile);
+        return res.json({
+          success: true,
+          message: `${provider.name} account linked`,
+          data: serializeIdentity(identity)
+        });
+      }
+
+      const { user, created, linked } = await resolveLoginUser(provider, profile);
+      if (!user.is_active) {
+        return res.status(401).json({
+          success: false,
+          message: 'Account is inactive. Please contact support.'
+        });
+      }
+
+      // The provider stands in for the password only; 2FA still applies
+      if (isTwoFactorEnabled(user)) {
+        const { token: challengeToken, expiresAt } = await issueUserToken(user.id, 'login_challenge');
+        return res.json({
+          success: true,
+          twoFactorRequired: true,
+          challengeToken,
+          expiresAt
+        });
+      }
+
+      await completeLogin(user, req, res, { accountCreated: created, identityLinked: linked });
+    } catch (error) {
+      sendOidcError(res, error, 'provider login');
+    }
+  }
+);
+
+// @route   GET /api/auth/identities
+// @desc    External logins linked to this account, and whether it has a password
+// @access  Private
+router.get('/identities', auth, async (req, res) => {
+  try {
+    const [user, identities] = await Promise.all([
+      User.findByPk(req.user.id, { attributes: ['id', 'password'] }),
+      UserIdentity.findAll({ where: { userId: req.user.id }, order: [['createdAt', 'ASC']] })
+    ]);
+
+    res.json({
+      success: true,
+      hasPassword: !!user.password,
+      providers: listProviders(),
+      data: identities.map(serializeIdentity)
     });
+  } catch (error) {
+    console.error('Error fetching linked accounts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching linked accounts'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/identities/:provider
+// @desc    Unlink a provider. The last way to log in (password or provider)
+//          cannot be removed.
+// @access  Private
+router.delete('/identities/:provider', auth, async (req, res) => {
+  try {
+    await unlinkIdentity(req.user.id, req.params.provider.toLowerCase());
 
-    // Return the new token
     res.json({
       success: true,
-      token: newToken
+      message: 'Account unlinked'
     });
   } catch (error) {
-    console.error('Token refresh error:', error);
-    // If token is invalid or expired
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+    sendOidcError(res, error, 'provider unlinking');
+  }
+});
+
+// @route   POST /api/auth/refresh-token
+// @desc    Swap a refresh token (cookie or body.refreshToken) for a new
+//          access token and refresh token. Each refresh token works once;
+//          replaying a used one revokes the session.
+// @access  Public (refresh token)
+router.post('/refresh-token', async (req, res) => {
+  try {
+    const refreshToken = readRefreshToken(req);
+
+    if (!refreshToken) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid or expired token'
+        message: 'No refresh token provided'
       });
     }
-    // For other server errors
+
+    const tokens = await rotateRefreshToken(refreshToken, req);
+    sendTokens(res, tokens);
+  } catch (error) {
+    if (error.name === 'SessionError') {
+      clearTokens(res);
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Token refresh error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error during token refresh',
@@ -0,0 +1,245 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const { Op } = require('sequelize');
+const { SharedExpense, ExpenseShare, Settlement, User, Expense } = require('../models');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { resolveWorkspace, getWorkspaceUserIds } = require('../utils/workspace');
+const { computeNetBalances, simplifyDebts } = require('../utils/balances');
+const { fromCents } = require('../utils/splits');
+const { normalizeCurrency } = require('../utils/currency');
+
+const USER_ATTRIBUTES = ['id', 'name', 'username'];
+
+// Load every shared expense and settlement involving the workspace
+const loadLedger = async (userIds) => {
+  const sharedExpenses = await SharedExpense.findAll({
+    where: { payerId: userIds },
+    include: [
+      { model: ExpenseShare, as: 'shares' },
+      { model: Expense, as: 'expense', attributes: ['currency'] }
+    ]
+  });
+
+  // Both sides must still be in the workspace: a former member's
+  // settlements would otherwise shift the remaining members' balances
+  const settlements = await Settlement.findAll({
+    where: {
+      fromUserId: userIds,
+      toUserId: userIds
+    }
+  });
+
+  return { sharedExpenses, settlements };
+};
+
+// @route   GET /api/balances
+// @desc    Net balances for the workspace plus suggested settle-up
+//          transfers, one set per currency
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const workspace = await resolveWorkspace(req.user);
+    const userIds = await getWorkspaceUserIds(workspace.ownerId);
+    const { sharedExpenses, settlements } = await loadLedger(userIds);
+
+    const byCurrency = computeNetBalances(sharedExpenses, settlements, req.user.home_currency);
+    if (byCurrency.size === 0) {
+      byCurrency.set(req.user.home_currency, new Map());
+    }
+
+    const memberIds = new Set(userIds);
+    byCurrency.forEach(balances => balances.forEach((cents, userId) => memberIds.add(userId)));
+
+    const users = await User.findAll({
+      where: { id: [...memberIds] },
+      attributes: USER_ATTRIBUTES
+    });
+    const usersById = new Map(users.map(user => [user.id, user]));
+
+    const currencies = [...byCurrency.keys()].sort().map(currency => {
+      const balances = byCurrency.get(currency);
+      userIds.forEach(userId => {
+        if (!balances.has(userId)) {
+          balances.set(userId, 0);
+        }
+      });
+
+      return {
+        currency,
+        balance: fromCents(balances.get(req.user.id) || 0),
+        balances: [...balances.entries()].map(([userId, cents]) => ({
+          user: usersById.get(userId) || { id: userId },
+          balance: fromCents(cents)
+        })),
+        suggestedSettlements: simplifyDebts(balances).map(transfer => ({
+          ...transfer,
+          currency,
+          fromUser: usersById.get(transfer.fromUserId) || { id: transfer.fromUserId },
+          toUser: usersById.get(transfer.toUserId) || { id: transfer.toUserId }
+        }))
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        currencies
+      }
+    });
+  } catch (err) {
+    console.error('Error calculating balances:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while calculating balances'
+    });
+  }
+});
+
+// @route   GET /api/balances/settlements
+// @desc    List settlements the current user paid or received
+// @access  Private
+router.get('/settlements', auth, async (req, res) => {
+  try {
+    const settlements = await Settlement.findAll({
+      where: {
+        [Op.or]: [
+          { fromUserId: req.user.id },
+          { toUserId: req.user.id }
+        ]
+      },
+      include: [
+        { model: User, as: 'fromUser', attributes: USER_ATTRIBUTES },
+        { model: User, as: 'toUser', attributes: USER_ATTRIBUTES }
+      ],
+      order: [['date', 'DESC'], ['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      count: settlements.length,
+      data: settlements
+    });
+  } catch (err) {
+    console.error('Error fetching settlements:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/balances/settlements
+// @desc    Record a payment from one workspace member to another
+// @access  Private (payer or recipient)
+router.post(
+  '/settlements',
+  [
+    auth,
+    check('fromUserId', 'fromUserId is required').isInt(),
+    check('toUserId', 'toUserId is required').isInt(),
+    check('amount', 'Amount is required and must be greater than 0').isFloat({ min: 0.01 }),
+    check('currency', 'Currency must be a 3-letter ISO 4217 code').optional().isISO4217(),
+    check('date', 'Date must be a valid date').optional().isDate()
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const fromUserId = parseInt(req.body.fromUserId, 10);
+      const toUserId = parseInt(req.body.toUserId, 10);
+      const { amount, currency, date, notes } = req.body;
+
+      if (fromUserId === toUserId) {
+        return res.status(400).json({
+          success: false,
+          message: 'A settlement needs two different users'
+        });
+      }
+
+      if (req.user.id !== fromUserId && req.user.id !== toUserId) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only record settlements you paid or received'
+        });
+      }
+
+      const workspace = await resolveWorkspace(req.user);
+      const userIds = await getWorkspaceUserIds(workspace.ownerId);
+      if (!userIds.includes(fromUserId) || !userIds.includes(toUserId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Both users must be members of your workspace'
+        });
+      }
+
+      const settlement = await Settlement.create({
+        fromUserId,
+        toUserId,
+        amount: parseFloat(amount),
+        currency: normalizeCurrency(currency) || req.user.home_currency,
+        date: date || new Date(),
+        notes: notes || null,
+        createdById: req.user.id
+      });
+
+      console.log(`Settlement ${settlement.id} recorded by user ${req.user.id}`);
+
+      res.status(201).json({
+        success: true,
+        data: settlement
+      });
+    } catch (err) {
+      console.error('Error recording settlement:', err);
+
+      if (err.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: err.errors.map(e => e.message)
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while recording settlement'
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/balances/settlements/:id
+// @desc    Delete a settlement recorded by mistake
+// @access  Private (creator)
+router.delete('/settlements/:id', auth, async (req, res) => {
+  try {
+    const settlement = await Settlement.findOne({
+      where: {
+        id: req.params.id,
+        createdById: req.user.id
+      }
+    });
+
+    if (!settlement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Settlement not found'
+      });
+    }
+
+    await settlement.destroy();
+
+    res.json({
+      success: true,
+      message: 'Settlement deleted'
+    });
+  } catch (err) {
+    console.error('Error deleting settlement:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const { Budget } = require('../models');
 const auth = require('../middleware/auth');
+const { normalizeCurrency } = require('../utils/currency');
+const { resolveCategory } = require('../utils/categories');
+const { DEFAULT_THRESHOLDS, normalizeThresholds } = require('../utils/budgetAlerts');
 
 // @route   GET /api/budgets
 // @desc    Get all budgets for a user
@@ -83,11 +86,11 @@ router.post('/', auth, async (req, res) => {
     console.log('Creating budget for user:', req.user.id);
     console.log('Request body:', JSON.stringify(req.body));
     
-    const { name, amount, category, period, planId, planName } = req.body;
+    const { name, amount, category, categoryId, period, currency, alertThresholds, planId, planName } = req.body;
 
     // Validation
-    if (!name || !amount || !category) {
-      console.error('Missing required fields:', { name, amount, category });
+    if (!name || !amount || !(category || categoryId)) {
+      console.error('Missing required fields:', { name, amount, category, categoryId });
       return res.status(400).json({
         success: false,
         message: 'Please provide name, amount, and category'
@@ -113,12 +116,26 @@ router.post('/', auth, async (req, res) => {
       });
     }
 
+    // Alert thresholds are whole percentages, e.g. [50, 80, 100]
+    const thresholds = alertThresholds !== undefined ? normalizeThresholds(alertThresholds) : DEFAULT_THRESHOLDS;
+    if (!thresholds) {
+      return res.status(400).json({
+        success: false,
+        message: 'alertThresholds must be an array of whole percentages between 1 and 1000'
+      });
+    }
+
+    const categoryRecord = await resolveCategory(req.user.id, { categoryId, category });
+
     // Create the budget with validated data
     const budget = await Budget.create({
       name,
       amount: parsedAmount,
-      category,
+      category: categoryRecord.name,
+      categoryId: categoryRecord.id,
       period: period || 'monthly',
+      currency: normalizeCurrency(currency) || req.user.home_currency,
+      alertThresholds: thresholds,
       planId: planId || null,
       planName: planName || null,
       userId: req.user.id
@@ -134,6 +151,13 @@ router.post('/', auth, async (req, res) => {
     console.error('Error creating budget:', err.message);
     console.error('Error stack:', err.stack);
     
+    if (err.name === 'CategoryError') {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+    
     // Handle specific database errors
     if (err.name === 'SequelizeValidationError') {
       return res.status(400).json({
@@ -167,7 +191,7 @@ router.put('/:id', auth, async (req, res) => {
     console.log(`Updating budget ${req.params.id} for user ${req.user.id}`);
     console.log('Request body:', JSON.stringify(req.body));
     
-    const { name, amount, category, period, planId, planName } = req.body;
+    const { name, amount, category, categoryId, period, currency, alertThresholds, planId, planName } = req.body;
 
     // Validate ID
     if (!req.params.id) {
@@ -207,11 +231,28 @@ router.put('/:id', auth, async (req, res) => {
       }
     }
 
+    let thresholds = budget.alertThresholds;
+    if (alertThresholds !== undefined) {
+      thresholds = normalizeThresholds(alertThresholds);
+      if (!thresholds) {
+        return res.status(400).json({
+          success: false,
+          message: 'alertThresholds must be an array of whole percentages between 1 and 1000'
+        });
+      }
+    }
+
     // Update the budget with validated data
     budget.name = name || budget.name;
     budget.amount = parsedAmount;
-    budget.category = category || budget.category;
+    if (category || categoryId) {
+      const categoryRecord = await resolveCategory(req.user.id, { categoryId, category });
+      budget.category = categoryRecord.name;
+      budget.categoryId = categoryRecord.id;
+    }
     budget.period = period || budget.period;
+    budget.currency = normalizeCurrency(currency) || budget.currency;
+    budget.alertThresholds = thresholds;
     budget.planId = planId !== undefined ? planId : budget.planId;
     budget.planName = planName !== undefined ? planName : budget.planName;
 
@@ -226,6 +267,13 @@ router.put('/:id', auth, async (req, res) => {
     console.error('Error updating budget:', err.message);
     console.error('Error stack:', err.stack);
     
+    if (err.name === 'CategoryError') {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+    
     // Handle specific database errors
     if (err.name === 'SequelizeValidationError') {
       return res.status(400).json({
@@ -0,0 +1,392 @@
+const express = require('express');
+const router = express.Router();
+const { check, query } = require('express-validator');
+const { Op } = require('sequelize');
+const { Category, Expense, Budget, RecurringExpense, sequelize } = require('../models');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const {
+  CategoryError,
+  normalizeCategoryName,
+  findCategoryByName,
+  getDescendantIds,
+  createCategoryTree,
+  syncCategoryName
+} = require('../utils/categories');
+
+const categoryValidators = (optional) => [
+  (optional ? check('name').optional() : check('name'))
+    .customSanitizer(normalizeCategoryName)
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name is required (up to 50 characters)'),
+  check('color', 'Colour must be a hex value such as #4CAF50').optional({ values: 'null' }).matches(/^#[0-9A-Fa-f]{6}$/),
+  check('icon', 'Icon must be up to 50 characters').optional({ values: 'null' }).isLength({ max: 50 }),
+  check('parentId', 'parentId must be a category id').optional({ values: 'null' }).isInt({ min: 1 }),
+  check('archived', 'archived must be true or false').optional().isBoolean()
+];
+
+const findCategory = (req, id = req.params.id) => Category.findOne({
+  where: {
+    id,
+    userId: req.user.id
+  }
+});
+
+// The parent must be one of the user's categories and must not sit below
+// the category itself, which would create a cycle
+const checkParent = async (req, categoryId, parentId) => {
+  if (parentId === undefined || parentId === null) {
+    return;
+  }
+
+  const parent = await findCategory(req, parentId);
+  if (!parent) {
+    throw new CategoryError(`Parent category ${parentId} not found`);
+  }
+
+  if (categoryId) {
+    const categories = await Category.findAll({
+      where: { userId: req.user.id },
+      attributes: ['id', 'parentId'],
+      raw: true
+    });
+    if (getDescendantIds(categories, categoryId).includes(parent.id)) {
+      throw new CategoryError('A category cannot be moved under itself or one of its subcategories');
+    }
+  }
+};
+
+const handleCategoryError = (err, res, fallbackMessage) => {
+  if (err.name === 'CategoryError') {
+    return res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+
+  if (err.name === 'SequelizeUniqueConstraintError') {
+    return res.status(409).json({
+      success: false,
+      message: 'A category with this name already exists'
+    });
+  }
+
+  if (err.name === 'SequelizeValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: err.errors.map(e => e.message)
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// @route   GET /api/categories?includeArchived=true&tree=true
+// @desc    Get the user's categories, as a flat list or nested under
+//          their parents (tree=true)
+// @access  Private
+router.get(
+  '/',
+  [
+    auth,
+    query('includeArchived', 'includeArchived must be true or false').optional().isBoolean(),
+    query('tree', 'tree must be true or false').optional().isBoolean()
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const where = { userId: req.user.id };
+      if (req.query.includeArchived !== 'true') {
+        where.archived = false;
+      }
+
+      const categories = await Category.findAll({
+        where,
+        order: [['name', 'ASC']]
+      });
+
+      if (req.query.tree === 'true') {
+        const tree = createCategoryTree(categories.map(category => category.toJSON()));
+        const toNode = (category) => ({
+          ...category,
+          children: tree.childrenOf(category.id).map(toNode)
+        });
+
+        return res.json({
+          success: true,
+          count: categories.length,
+          data: tree.roots().map(toNode)
+        });
+      }
+
+      res.json({
+        success: true,
+        count: categories.length,
+        data: categories
+      });
+    } catch (err) {
+      console.error('Error fetching categories:', err);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   GET /api/categories/:id
+// @desc    Get a category
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const category = await findCategory(req);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: category
+    });
+  } catch (err) {
+    console.error('Error fetching category:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/categories
+// @desc    Create a category
+// @access  Private
+router.post('/', [auth, ...categoryValidators(false)], validate, async (req, res) => {
+  try {
+    const { name, color, icon, parentId } = req.body;
+
+    if (await findCategoryByName(req.user.id, name)) {
+      return res.status(409).json({
+        success: false,
+        message: `Category "${name}" already exists`
+      });
+    }
+
+    await checkParent(req, null, parentId);
+
+    const category = await Category.create({
+      userId: req.user.id,
+      name,
+      color: color || null,
+      icon: icon || null,
+      parentId: parentId || null
+    });
+
+    res.status(201).json({
+      success: true,
+      data: category
+    });
+  } catch (err) {
+    console.error('Error creating category:', err);
+    handleCategoryError(err, res, 'Server error while creating category');
+  }
+});
+
+// @route   PUT /api/categories/:id
+// @desc    Update a category. Renaming also renames it on expenses,
+//          budgets and recurring expenses.
+// @access  Private
+router.put('/:id', [auth, ...categoryValidators(true)], validate, async (req, res) => {
+  try {
+    const category = await findCategory(req);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const { name, color, icon, parentId, archived } = req.body;
+
+    if (name && name.toLowerCase() !== category.name.toLowerCase()) {
+      if (await findCategoryByName(req.user.id, name)) {
+        return res.status(409).json({
+          success: false,
+          message: `Category "${name}" already exists`
+        });
+      }
+    }
+
+    await checkParent(req, category.id, parentId);
+
+    const renamed = name && name !== category.name;
+
+    await sequelize.transaction(async (transaction) => {
+      await category.update({
+        name: name || category.name,
+        color: color !== undefined ? color : category.color,
+        icon: icon !== undefined ? icon : category.icon,
+        parentId: parentId !== undefined ? parentId : category.parentId,
+        archived: archived !== undefined ? archived === true || archived === 'true' : category.archived
+      }, { transaction });
+
+      if (renamed) {
+        await syncCategoryName(category, transaction);
+      }
+    });
+
+    res.json({
+      success: true,
+      data: category
+    });
+  } catch (err) {
+    console.error('Error updating category:', err);
+    handleCategoryError(err, res, 'Server error while updating category');
+  }
+});
+
+// @route   DELETE /api/categories/:id
+// @desc    Delete an unused category. Categories that still have expenses,
+//          budgets or recurring expenses must be archived or merged instead.
+//          Subcategories move up to the deleted category's parent.
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const category = await findCategory(req);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const [expenses, budgets, templates] = await Promise.all([
+      Expense.count({ where: { category_id: category.id } }),
+      Budget.count({ where: { categoryId: category.id } }),
+      RecurringExpense.count({ where: { categoryId: category.id } })
+    ]);
+
+    if (expenses + budgets + templates > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Category is in use. Archive it or merge it into another category instead.',
+        usage: { expenses, budgets, recurringExpenses: templates }
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await Category.update(
+        { parentId: category.parentId },
+        { where: { parentId: category.id }, transaction }
+      );
+      await category.destroy({ transaction });
+    });
+
+    res.json({
+      success: true,
+      message: 'Category deleted'
+    });
+  } catch (err) {
+    console.error('Error deleting category:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/categories/:id/merge
+// @desc    Merge this category into targetId: expenses, budgets, recurring
+//          expenses and subcategories move to the target, then this
+//          category is deleted
+// @access  Private
+router.post(
+  '/:id/merge',
+  [
+    auth,
+    check('targetId', 'targetId must be a category id').isInt({ min: 1 })
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const source = await findCategory(req);
+      const target = await findCategory(req, req.body.targetId);
+
+      if (!source || !target) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+
+      if (source.id === target.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'A category cannot be merged into itself'
+        });
+      }
+
+      const moved = await sequelize.transaction(async (transaction) => {
+        const [expenses] = await Expense.update(
+          { category_id: target.id, category: target.name },
+          { where: { category_id: source.id }, transaction }
+        );
+        const [budgets] = await Budget.update(
+          { categoryId: target.id, category: target.name },
+          { where: { categoryId: source.id }, transaction }
+        );
+        const [templates] = await RecurringExpense.update(
+          { categoryId: target.id, category: target.name },
+          { where: { categoryId: source.id }, transaction }
+        );
+
+        // A target somewhere below the source first takes the source's
+        // place, so moving the source's subcategories under it cannot
+        // create a cycle
+        const categories = await Category.findAll({
+          where: { userId: req.user.id },
+          attributes: ['id', 'parentId'],
+          raw: true,
+          transaction
+        });
+        if (getDescendantIds(categories, source.id).includes(target.id)) {
+          await target.update({ parentId: source.parentId }, { transaction });
+        }
+
+        await Category.update(
+          { parentId: target.id },
+          { where: { parentId: source.id, id: { [Op.ne]: target.id } }, transaction }
+        );
+
+        await source.destroy({ transaction });
+
+        return { expenses, budgets, recurringExpenses: templates };
+      });
+
+      console.log(`Merged category ${source.id} into ${target.id} for user ${req.user.id}`);
+
+      res.json({
+        success: true,
+        data: target,
+        moved
+      });
+    } catch (err) {
+      console.error('Error merging categories:', err);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while merging categories'
+      });
+    }
+  }
+);
+
+module.exports = router;
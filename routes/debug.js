@@ -1,19 +0,0 @@
-const express = require('express');
-const router = express.Router();
-const User = require('../models/User');
-
-// Temporary route to list all users (remove in production)
-router.get('/users', async (req, res) => {
-  try {
-    const users = await User.findAll({
-      attributes: ['id', 'username', 'email', 'createdAt'],
-      raw: true
-    });
-    res.json(users);
-  } catch (error) {
-    console.error('Error fetching users:', error);
-    res.status(500).json({ error: 'Failed to fetch users' });
-  }
-});
-
-module.exports = router;
@@ -1,66 +1,22 @@
 const express = require('express');
 const router = express.Router();
-const { Document } = require('../models');
+const { Document, Expense } = require('../models');
 const auth = require('../middleware/auth');
-const multer = require('multer');
-const path = require('path');
+const { upload, handleUploadErrors } = require('../middleware/upload');
 const fs = require('fs');
 
-// Set up multer storage configuration
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../uploads');
-    
-    // Create uploads directory if it doesn't exist
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    // Generate unique filename
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    cb(null, file.fieldname + '-' + uniqueSuffix + ext);
-  }
-});
-
-// File filter function
-const fileFilter = (req, file, cb) => {
-  // Accept common file types
-  const allowedTypes = [
-    'image/jpeg', 'image/png', 'image/gif',
-    'application/pdf', 'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'application/vnd.ms-excel',
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    'text/plain', 'text/csv'
-  ];
-  
-  if (allowedTypes.includes(file.mimetype)) {
-    cb(null, true);
-  } else {
-    cb(new Error('Invalid file type. Only images, PDFs, Word documents, Excel files, and text files are allowed.'), false);
-  }
-};
-
-// Set up multer upload
-const upload = multer({
-  storage: storage,
-  fileFilter: fileFilter,
-  limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB max file size
-  }
-});
-
 // @route   GET /api/documents
 // @desc    Get all documents for a user
 // @access  Private
 router.get('/', auth, async (req, res) => {
   try {
+    const where = { userId: req.user.id };
+    if (req.query.expenseId) {
+      where.expenseId = req.query.expenseId;
+    }
+
     const documents = await Document.findAll({
-      where: { userId: req.user.id },
+      where,
       order: [['createdAt', 'DESC']]
     });
 
@@ -153,7 +109,7 @@ router.get('/:id/download', auth, async (req, res) => {
 });
 
 // @route   POST /api/documents/upload
-// @desc    Upload a new document
+// @desc    Upload a new document, optionally as a receipt for an expense
 // @access  Private
 router.post('/upload', auth, upload.single('file'), async (req, res) => {
   try {
@@ -164,7 +120,25 @@ router.post('/upload', auth, upload.single('file'), async (req, res) => {
       });
     }
 
-    const { description } = req.body;
+    const { description, expenseId } = req.body;
+
+    // Receipts can only be attached to the user's own expenses
+    if (expenseId) {
+      const expense = await Expense.findOne({
+        where: {
+          id: expenseId,
+          user_id: req.user.id
+        }
+      });
+
+      if (!expense) {
+        fs.unlinkSync(req.file.path);
+        return res.status(404).json({
+          success: false,
+          message: 'Expense not found'
+        });
+      }
+    }
 
     // Create document record
     const document = await Document.create({
@@ -173,7 +147,8 @@ router.post('/upload', auth, upload.single('file'), async (req, res) => {
       fileSize: req.file.size,
       filePath: req.file.path,
       description: description || '',
-      userId: req.user.id
+      userId: req.user.id,
+      expenseId: expenseId || null
     });
 
     res.status(201).json({
@@ -236,27 +211,6 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 // Error handling middleware for multer
-router.use((err, req, res, next) => {
-  if (err instanceof multer.MulterError) {
-    // A Multer error occurred when uploading
-    if (err.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({
-        success: false,
-        message: 'File size exceeds the 5MB limit'
-      });
-    }
-    return res.status(400).json({
-      success: false,
-      message: `Upload error: ${err.message}`
-    });
-  } else if (err) {
-    // An unknown error occurred
-    return res.status(500).json({
-      success: false,
-      message: err.message
-    });
-  }
-  next();
-});
+router.use(handleUploadErrors);
 
 module.exports = router;
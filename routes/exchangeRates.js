@@ -0,0 +1,106 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const { Op } = require('sequelize');
+const { ExchangeRate } = require('../models');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { normalizeCurrency, loadCurrencyConverter } = require('../utils/currency');
+
+// Rates are loaded from CSV with scripts/loadExchangeRates.js
+
+// @route   GET /api/exchange-rates
+// @desc    List stored exchange rates
+//          Filters: base, quote, startDate, endDate
+// @access  Private
+router.get(
+  '/',
+  [
+    auth,
+    query('base', 'base must be a 3-letter ISO 4217 code').optional().isISO4217(),
+    query('quote', 'quote must be a 3-letter ISO 4217 code').optional().isISO4217(),
+    query('startDate', 'startDate must be a valid date (YYYY-MM-DD)').optional().isDate(),
+    query('endDate', 'endDate must be a valid date (YYYY-MM-DD)').optional().isDate()
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { base, quote, startDate, endDate } = req.query;
+      const where = {};
+
+      if (base) where.baseCurrency = normalizeCurrency(base);
+      if (quote) where.quoteCurrency = normalizeCurrency(quote);
+      if (startDate || endDate) {
+        where.date = {};
+        if (startDate) where.date[Op.gte] = startDate;
+        if (endDate) where.date[Op.lte] = endDate;
+      }
+
+      const rates = await ExchangeRate.findAll({
+        where,
+        attributes: ['id', 'baseCurrency', 'quoteCurrency', 'rate', 'date'],
+        order: [['baseCurrency', 'ASC'], ['quoteCurrency', 'ASC'], ['date', 'DESC']]
+      });
+
+      res.json({
+        success: true,
+        count: rates.length,
+        data: rates
+      });
+    } catch (err) {
+      console.error('Error fetching exchange rates:', err);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   GET /api/exchange-rates/convert?amount=&from=&to=&date=
+// @desc    Convert an amount with the rate in effect on a date (default today)
+// @access  Private
+router.get(
+  '/convert',
+  [
+    auth,
+    query('amount', 'amount must be a number').isFloat(),
+    query('from', 'from must be a 3-letter ISO 4217 code').isISO4217(),
+    query('to', 'to must be a 3-letter ISO 4217 code').optional().isISO4217(),
+    query('date', 'date must be a valid date (YYYY-MM-DD)').optional().isDate()
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const to = normalizeCurrency(req.query.to) || req.user.home_currency;
+      const date = req.query.date || new Date();
+      const converter = await loadCurrencyConverter(to);
+      const rate = converter.rateFor(req.query.from, date);
+
+      if (rate === null) {
+        return res.status(404).json({
+          success: false,
+          message: `No exchange rate from ${normalizeCurrency(req.query.from)} to ${to} on or before that date`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          from: normalizeCurrency(req.query.from),
+          to,
+          rate,
+          amount: converter.convert(req.query.amount, req.query.from, date)
+        }
+      });
+    } catch (err) {
+      console.error('Error converting currency:', err);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+module.exports = router;
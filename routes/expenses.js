@@ -1,45 +1,218 @@
 const express = require('express');
 const router = express.Router();
-const { check } = require('express-validator');
+const { check, query } = require('express-validator');
 const { Op } = require('sequelize');
-const Expense = require('../models/Expense');
+const fs = require('fs');
+const { Expense, SharedExpense, ExpenseShare, User, Document, Tag, sequelize } = require('../models');
 const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { csvUpload, handleUploadErrors } = require('../middleware/upload');
+const {
+  SORT_FIELDS,
+  DEFAULT_PAGE_SIZE,
+  expenseFilterValidators,
+  expenseListValidators,
+  buildExpenseWhere,
+  encodeCursor,
+  decodeCursor,
+  buildCursorWhere
+} = require('../utils/expenseFilters');
+const { calculateSplit, SplitError, toCents } = require('../utils/splits');
+const { resolveWorkspace, getWorkspaceUserIds } = require('../utils/workspace');
+const { parseCsv } = require('../utils/csv');
+const { EXPORT_FORMATS, sendExport } = require('../utils/exporters');
+const { mapStatementRows } = require('../utils/expenseImport');
+const { parseDateOnly, formatDateOnly } = require('../utils/periods');
+const { normalizeCurrency, isCurrencyCode } = require('../utils/currency');
+const { resolveCategory, normalizeCategoryName } = require('../utils/categories');
+const {
+  parseTagNames,
+  findOrCreateTags,
+  addTagsToExpenses,
+  removeTagsFromExpenses,
+  setExpenseTags,
+  loadExpenseTags
+} = require('../utils/tags');
+const { evaluateBudgetAlerts } = require('../utils/budgetAlerts');
+
+// Check budget thresholds after expenses change. Alerts are a side effect,
+// so a failure here is logged instead of failing the request.
+const checkBudgetAlerts = async (user, dates) => {
+  try {
+    return await evaluateBudgetAlerts(user, dates);
+  } catch (error) {
+    console.error('Error evaluating budget alerts:', error);
+    return [];
+  }
+};
+
+// Multipart fields arrive as strings
+const parseBoolean = (value, fallback) => {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  return ['true', '1', 'yes'].includes(String(value).toLowerCase());
+};
+
+// Validate a split payload and work out every participant's portion.
+// Participants and the payer must belong to the creator's workspace.
+const buildSplitPlan = async (user, amount, split) => {
+  if (typeof split !== 'object' || Array.isArray(split)) {
+    throw new SplitError('Split must be an object with type and participants');
+  }
+
+  const type = split.type || 'equal';
+  const payerId = split.payerId ? parseInt(split.payerId, 10) : user.id;
+  const portions = calculateSplit(amount, type, split.participants);
+
+  const workspace = await resolveWorkspace(user);
+  const allowedUserIds = await getWorkspaceUserIds(workspace.ownerId);
+
+  const outsiders = [payerId, ...portions.map(portion => portion.userId)]
+    .filter(userId => !allowedUserIds.includes(userId));
+  if (outsiders.length > 0) {
+    throw new SplitError(`Users ${[...new Set(outsiders)].join(', ')} are not members of your workspace`);
+  }
+
+  return { type, payerId, portions };
+};
+
+// Persist a split plan for an expense, replacing any existing split
+const saveSplit = async (expense, plan, transaction) => {
+  await SharedExpense.destroy({ where: { expenseId: expense.id }, transaction });
+
+  const sharedExpense = await SharedExpense.create({
+    expenseId: expense.id,
+    payerId: plan.payerId,
+    splitType: plan.type
+  }, { transaction });
+
+  await ExpenseShare.bulkCreate(plan.portions.map(portion => ({
+    sharedExpenseId: sharedExpense.id,
+    userId: portion.userId,
+    shareValue: portion.shareValue,
+    amount: portion.amount
+  })), { transaction });
+
+  return sharedExpense;
+};
+
+// Number of receipts attached to each expense row
+const receiptCountAttribute = [
+  sequelize.literal('(SELECT COUNT(*) FROM documents WHERE documents.expense_id = `Expense`.`id`)'),
+  'receiptCount'
+];
+
+const findSplit = (expenseId) => SharedExpense.findOne({
+  where: { expenseId },
+  include: [
+    { model: User, as: 'payer', attributes: ['id', 'name', 'username'] },
+    {
+      model: ExpenseShare,
+      as: 'shares',
+      include: [{ model: User, as: 'user', attributes: ['id', 'name', 'username'] }]
+    }
+  ]
+});
+
+// Shape a split for API responses, including what each participant owes the payer
+const serializeSplit = (sharedExpense) => {
+  if (!sharedExpense) {
+    return null;
+  }
+
+  return {
+    id: sharedExpense.id,
+    splitType: sharedExpense.splitType,
+    payer: sharedExpense.payer,
+    participants: sharedExpense.shares.map(share => ({
+      userId: share.userId,
+      name: share.user ? share.user.name : null,
+      username: share.user ? share.user.username : null,
+      shareValue: share.shareValue,
+      amount: share.amount,
+      owes: share.userId === sharedExpense.payerId ? 0 : share.amount
+    }))
+  };
+};
 
 // @route   POST /api/expenses
 // @desc    Create a new expense
-// @access  Private
+// @access  Private (token scope: expenses:write)
 router.post(
   '/',
   [
-    auth,
+    auth.scope('expenses:write'),
     [
       check('amount', 'Amount is required and must be greater than 0').isFloat({ min: 0.01 }),
       check('description', 'Description is required').not().isEmpty(),
-      check('category', 'Category is required').not().isEmpty(),
+      check('category', 'Category or categoryId is required').if((value, { req }) => !req.body.categoryId).not().isEmpty(),
+      check('categoryId', 'categoryId must be a category id').optional().isInt({ min: 1 }),
       check('date', 'Date is required').isDate(),
+      check('currency', 'Currency must be a 3-letter ISO 4217 code').optional().isISO4217(),
     ],
   ],
+  validate,
   async (req, res) => {
     try {
-      const { amount, description, category, date } = req.body;
+      const { amount, description, category, categoryId, date, currency, split, tags } = req.body;
 
-      // Create new expense
-      const expense = await Expense.create({
-        user_id: req.user.id,
-        amount,
-        notes: description,  // Using notes field instead of description
-        category,
-        date: date || new Date(),
+      // Validate the split before touching the database
+      const splitPlan = split ? await buildSplitPlan(req.user, amount, split) : null;
+
+      // Create the expense and its split together
+      const expense = await sequelize.transaction(async (transaction) => {
+        const categoryRecord = await resolveCategory(req.user.id, { categoryId, category }, transaction);
+        const created = await Expense.create({
+          user_id: req.user.id,
+          amount,
+          notes: description,  // Using notes field instead of description
+          category: categoryRecord.name,
+          category_id: categoryRecord.id,
+          date: date || new Date(),
+          currency: normalizeCurrency(currency) || req.user.home_currency,
+        }, { transaction });
+
+        if (splitPlan) {
+          await saveSplit(created, splitPlan, transaction);
+        }
+
+        if (tags !== undefined) {
+          await setExpenseTags(req.user.id, created.id, parseTagNames(tags), transaction);
+        }
+
+        return created;
       });
       
-      console.log('New expense created:', expense.toJSON());
+      console.log('New expense created:', expense.id);
+
+      const alerts = await checkBudgetAlerts(req.user, [expense.date]);
 
       res.status(201).json({
         success: true,
         expense,
+        alerts,
+        tags: (await loadExpenseTags([expense.id])).get(expense.id),
+        split: splitPlan ? serializeSplit(await findSplit(expense.id)) : null,
       });
     } catch (error) {
       console.error('Error creating expense:', error);
+
+      if (error.name === 'SplitError' || error.name === 'CategoryError' || error.name === 'TagError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.errors.map(e => e.message),
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Server error',
@@ -50,22 +223,67 @@ router.post(
 );
 
 // @route   GET /api/expenses
-// @desc    Get all expenses for the authenticated user
-// @access  Private
-router.get('/', auth, async (req, res) => {
+// @desc    Get expenses for the authenticated user
+//          Filters: startDate, endDate, category (repeat or comma-separate), categoryId,
+//          minAmount, maxAmount, search (notes), tags (repeat or comma-separate)
+//          with tagMode=any|all
+//          Sorting: sortBy=date|amount|category|createdAt, order=asc|desc
+//          Paging: page + limit, or cursor + limit (use nextCursor from the last page)
+// @access  Private (token scope: expenses:read)
+router.get('/', auth.scope('expenses:read'), expenseListValidators, validate, async (req, res) => {
   try {
-    const expenses = await Expense.findAll({
-      where: { user_id: req.user.id },
-      order: [['date', 'DESC']],
+    const sortBy = req.query.sortBy || 'date';
+    const field = SORT_FIELDS[sortBy];
+    const direction = (req.query.order || 'desc').toUpperCase();
+    const limit = parseInt(req.query.limit || DEFAULT_PAGE_SIZE, 10);
+    const page = parseInt(req.query.page || 1, 10);
+
+    const where = buildExpenseWhere(req.user.id, req.query);
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor',
+        });
+      }
+    }
+
+    const total = await Expense.count({ where });
+
+    // Fetch one extra row to know whether another page exists
+    const rows = await Expense.findAll({
+      where: cursor ? { [Op.and]: [where, buildCursorWhere(field, direction, cursor)] } : where,
+      attributes: { include: [receiptCountAttribute] },
+      order: [[field, direction], ['id', direction]],
+      limit: limit + 1,
+      offset: cursor ? 0 : (page - 1) * limit,
       raw: true
     });
-    
-    console.log('Fetched expenses:', expenses);
+
+    const hasMore = rows.length > limit;
+    const expenses = hasMore ? rows.slice(0, limit) : rows;
+    const last = expenses[expenses.length - 1];
+
+    const tagsByExpense = await loadExpenseTags(expenses.map(expense => expense.id));
+    expenses.forEach(expense => {
+      expense.tags = tagsByExpense.get(expense.id);
+    });
 
     res.json({
       success: true,
       count: expenses.length,
+      total,
       data: expenses,
+      pagination: {
+        limit,
+        page: cursor ? null : page,
+        totalPages: Math.ceil(total / limit),
+        hasMore,
+        nextCursor: hasMore && last ? encodeCursor(last[field], last.id) : null,
+      },
     });
   } catch (error) {
     console.error('Error fetching expenses:', error);
@@ -76,13 +294,404 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
-// @route   PUT /api/expenses/:id
-// @desc    Update an expense
-// @access  Private
-router.put('/:id', auth, async (req, res) => {
+// @route   GET /api/expenses/export
+// @desc    Download expenses as csv, json or xlsx
+//          Query: format plus the same filters as GET /api/expenses
+// @access  Private (token scope: expenses:read)
+router.get(
+  '/export',
+  [
+    auth.scope('expenses:read'),
+    query('format', `format must be one of: ${EXPORT_FORMATS.join(', ')}`).optional().isIn(EXPORT_FORMATS),
+    ...expenseFilterValidators,
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const format = req.query.format || 'csv';
+
+      const expenses = await Expense.findAll({
+        where: buildExpenseWhere(req.user.id, req.query),
+        attributes: ['id', 'date', 'category', 'amount', 'currency', 'notes', 'created_at'],
+        order: [['date', 'ASC'], ['id', 'ASC']],
+        raw: true,
+      });
+
+      const tagsByExpense = await loadExpenseTags(expenses.map(expense => expense.id));
+      const rows = expenses.map(expense => ({
+        ...expense,
+        amount: parseFloat(expense.amount),
+        tags: tagsByExpense.get(expense.id).join(', '),
+      }));
+
+      // Rebuilt from the parsed dates: isDate() also lets "2026/01/01" through
+      const range = [req.query.startDate, req.query.endDate]
+        .filter(Boolean)
+        .map(date => formatDateOnly(parseDateOnly(date)))
+        .join('-to-');
+
+      await sendExport(res, {
+        format,
+        filename: range ? `expenses-${range}` : 'expenses',
+        json: rows,
+        sheets: [{
+          name: 'Expenses',
+          columns: [
+            { header: 'ID', key: 'id' },
+            { header: 'Date', key: 'date' },
+            { header: 'Category', key: 'category' },
+            { header: 'Amount', key: 'amount' },
+            { header: 'Currency', key: 'currency' },
+            { header: 'Notes', key: 'notes', width: 40 },
+            { header: 'Tags', key: 'tags', width: 30 },
+            { header: 'Created at', key: 'created_at', width: 22 },
+          ],
+          rows,
+        }],
+      });
+    } catch (error) {
+      console.error('Error exporting expenses:', error);
+
+      // The download may already be under way
+      if (res.headersSent) {
+        return res.end();
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+      });
+    }
+  }
+);
+
+// @route   POST /api/expenses/import
+// @desc    Import expenses from a bank statement CSV (multipart field "file").
+//          Body fields: mapping (JSON: date, amount, description, category columns),
+//          dateFormat, hasHeader, defaultCategory, debitsOnly, currency
+//          (defaults to the home currency) and dryRun.
+//          dryRun defaults to true and only returns a preview; send dryRun=false to import.
+// @access  Private (token scope: expenses:write)
+router.post('/import', auth.scope('expenses:write'), csvUpload.single('file'), async (req, res) => {
   try {
-    const { amount, description, category, date } = req.body;
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded',
+      });
+    }
+
+    let mapping = req.body.mapping;
+    if (typeof mapping === 'string') {
+      try {
+        mapping = JSON.parse(mapping);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          message: 'mapping must be valid JSON',
+        });
+      }
+    }
+
+    const dryRun = parseBoolean(req.body.dryRun, true);
+    const currency = normalizeCurrency(req.body.currency) || req.user.home_currency;
+
+    if (!isCurrencyCode(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: 'currency must be a 3-letter ISO 4217 code',
+      });
+    }
+
+    const rows = parseCsv(fs.readFileSync(req.file.path, 'utf8'));
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'CSV file is empty',
+      });
+    }
+
+    const entries = mapStatementRows(rows, {
+      mapping,
+      hasHeader: parseBoolean(req.body.hasHeader, true),
+      dateFormat: req.body.dateFormat,
+      defaultCategory: req.body.defaultCategory,
+      debitsOnly: parseBoolean(req.body.debitsOnly, false),
+    });
+
+    // Skip rows that match an existing expense, or an earlier row of the
+    // file, on date, amount and notes
+    const candidates = entries.filter(entry => entry.status === 'new');
+    if (candidates.length > 0) {
+      const dates = candidates.map(entry => entry.expense.date).sort();
+      const existing = await Expense.findAll({
+        where: {
+          user_id: req.user.id,
+          date: { [Op.between]: [dates[0], dates[dates.length - 1]] },
+        },
+        attributes: ['id', 'date', 'amount', 'notes'],
+        raw: true,
+      });
+
+      const keyOf = (expense) =>
+        `${formatDateOnly(parseDateOnly(expense.date))}|${toCents(expense.amount)}|${(expense.notes || '').trim()}`;
+      const existingByKey = new Map(existing.map(expense => [keyOf(expense), expense.id]));
+
+      // Rows repeated within the file are duplicates of the first one
+      const linesByKey = new Map();
+      candidates.forEach(entry => {
+        const key = keyOf(entry.expense);
+        const duplicateOf = existingByKey.get(key);
+        if (duplicateOf) {
+          entry.status = 'duplicate';
+          entry.duplicateOf = duplicateOf;
+        } else if (linesByKey.has(key)) {
+          entry.status = 'duplicate';
+          entry.duplicateOfLine = linesByKey.get(key);
+        } else {
+          linesByKey.set(key, entry.line);
+        }
+      });
+    }
+
+    const toImport = entries.filter(entry => entry.status === 'new');
+    let imported = [];
+
+    if (!dryRun && toImport.length > 0) {
+      imported = await sequelize.transaction(async (transaction) => {
+        // Map each distinct category name onto the user's categories once
+        const categoriesByName = new Map();
+        for (const entry of toImport) {
+          const key = normalizeCategoryName(entry.expense.category).toLowerCase();
+          if (!categoriesByName.has(key)) {
+            categoriesByName.set(key, await resolveCategory(req.user.id, { category: entry.expense.category }, transaction));
+          }
+        }
+
+        return Expense.bulkCreate(
+          toImport.map(entry => {
+            const categoryRecord = categoriesByName.get(normalizeCategoryName(entry.expense.category).toLowerCase());
+            return {
+              user_id: req.user.id,
+              currency,
+              ...entry.expense,
+              category: categoryRecord.name,
+              category_id: categoryRecord.id,
+            };
+          }),
+          { transaction, validate: true }
+        );
+      });
+      console.log(`Imported ${imported.length} expenses for user ${req.user.id}`);
+    }
+
+    const alerts = imported.length > 0
+      ? await checkBudgetAlerts(req.user, imported.map(expense => expense.date))
+      : [];
+
+    const countByStatus = (status) => entries.filter(entry => entry.status === status).length;
 
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      dryRun,
+      summary: {
+        totalRows: entries.length,
+        new: toImport.length,
+        duplicates: countByStatus('duplicate'),
+        invalid: countByStatus('invalid'),
+        skipped: countByStatus('skipped'),
+        imported: imported.length,
+      },
+      alerts,
+      rows: entries,
+    });
+  } catch (error) {
+    console.error('Error importing expenses:', error);
+
+    if (error.name === 'ImportError' || error.name === 'CategoryError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.name === 'AggregateError' || error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Some rows failed validation. Nothing was imported.',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing expenses',
+    });
+  } finally {
+    // The statement itself is not kept
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+  }
+});
+
+// @route   POST /api/expenses/tags
+// @desc    Add and/or remove tags on several expenses at once.
+//          Body: expenseIds (array), add (tag names), remove (tag names)
+// @access  Private (token scope: expenses:write)
+router.post(
+  '/tags',
+  [
+    auth.scope('expenses:write'),
+    check('expenseIds', 'expenseIds must be a non-empty array of expense ids').isArray({ min: 1, max: 500 }),
+    check('expenseIds.*', 'expenseIds must be a non-empty array of expense ids').isInt({ min: 1 }),
+    check('add', 'add must be an array of tag names').optional().isArray(),
+    check('remove', 'remove must be an array of tag names').optional().isArray(),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const expenseIds = [...new Set(req.body.expenseIds.map(id => parseInt(id, 10)))];
+      const add = parseTagNames(req.body.add);
+      const remove = parseTagNames(req.body.remove);
+
+      if (add.length === 0 && remove.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Provide tags to add or remove',
+        });
+      }
+
+      const owned = await Expense.count({
+        where: { id: { [Op.in]: expenseIds }, user_id: req.user.id },
+      });
+
+      if (owned !== expenseIds.length) {
+        return res.status(404).json({
+          success: false,
+          message: 'One or more expenses were not found',
+        });
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        if (add.length > 0) {
+          const tags = await findOrCreateTags(req.user.id, add, transaction);
+          await addTagsToExpenses(expenseIds, tags, transaction);
+        }
+
+        if (remove.length > 0) {
+          const tags = await Tag.findAll({
+            where: { userId: req.user.id, name: { [Op.in]: remove } },
+            transaction,
+          });
+          if (tags.length > 0) {
+            await removeTagsFromExpenses(expenseIds, tags, transaction);
+          }
+        }
+      });
+
+      const tagsByExpense = await loadExpenseTags(expenseIds);
+
+      res.json({
+        success: true,
+        data: expenseIds.map(id => ({ expenseId: id, tags: tagsByExpense.get(id) })),
+      });
+    } catch (error) {
+      console.error('Error updating expense tags:', error);
+
+      if (error.name === 'TagError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+      });
+    }
+  }
+);
+
+// @route   GET /api/expenses/shared
+// @desc    Get shared expenses the authenticated user takes part in
+// @access  Private (token scope: expenses:read)
+router.get('/shared', auth.scope('expenses:read'), async (req, res) => {
+  try {
+    const shares = await ExpenseShare.findAll({
+      where: { userId: req.user.id },
+      attributes: ['sharedExpenseId']
+    });
+
+    const sharedExpenses = await SharedExpense.findAll({
+      where: { id: shares.map(share => share.sharedExpenseId) },
+      include: [
+        { model: Expense, as: 'expense' },
+        { model: User, as: 'payer', attributes: ['id', 'name', 'username'] },
+        {
+          model: ExpenseShare,
+          as: 'shares',
+          include: [{ model: User, as: 'user', attributes: ['id', 'name', 'username'] }]
+        }
+      ],
+      order: [[{ model: Expense, as: 'expense' }, 'date', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      count: sharedExpenses.length,
+      data: sharedExpenses.map(sharedExpense => ({
+        expense: sharedExpense.expense,
+        split: serializeSplit(sharedExpense)
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching shared expenses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
+// @route   GET /api/expenses/:id/split
+// @desc    Get the split of a shared expense and what each participant owes
+// @access  Private (creator or participants; token scope: expenses:read)
+router.get('/:id/split', auth.scope('expenses:read'), async (req, res) => {
+  try {
+    const sharedExpense = await findSplit(req.params.id);
+    const expense = await Expense.findByPk(req.params.id);
+
+    const isParticipant = sharedExpense &&
+      sharedExpense.shares.some(share => share.userId === req.user.id);
+
+    if (!expense || (expense.user_id !== req.user.id && !isParticipant)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      expense,
+      split: serializeSplit(sharedExpense),
+    });
+  } catch (error) {
+    console.error('Error fetching expense split:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
+// @route   GET /api/expenses/:id/documents
+// @desc    Get the receipts attached to an expense
+// @access  Private (token scope: expenses:read)
+router.get('/:id/documents', auth.scope('expenses:read'), async (req, res) => {
+  try {
     const expense = await Expense.findOne({
       where: {
         id: req.params.id,
@@ -97,22 +706,21 @@ router.put('/:id', auth, async (req, res) => {
       });
     }
 
-    // Update expense
-    const updatedExpense = await expense.update({
-      amount: amount || expense.amount,
-      notes: description || expense.notes,
-      category: category || expense.category,
-      date: date || expense.date,
+    const documents = await Document.findAll({
+      where: {
+        expenseId: expense.id,
+        userId: req.user.id,
+      },
+      order: [['createdAt', 'DESC']],
     });
-    
-    console.log('Updated expense:', updatedExpense.toJSON());
 
     res.json({
       success: true,
-      expense: updatedExpense,
+      count: documents.length,
+      data: documents,
     });
   } catch (error) {
-    console.error('Error updating expense:', error);
+    console.error('Error fetching expense documents:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -120,11 +728,142 @@ router.put('/:id', auth, async (req, res) => {
   }
 });
 
-// @route   DELETE /api/expenses/:id
-// @desc    Delete an expense
-// @access  Private
-router.delete('/:id', auth, async (req, res) => {
+// @route   PUT /api/expenses/:id
+// @desc    Update an expense
+// @access  Private (token scope: expenses:write)
+router.put(
+  '/:id',
+  [
+    auth.scope('expenses:write'),
+    [
+      check('amount', 'Amount must be greater than 0').optional().isFloat({ min: 0.01 }),
+      check('description', 'Description cannot be empty').optional().not().isEmpty(),
+      check('category', 'Category cannot be empty').optional().not().isEmpty(),
+      check('categoryId', 'categoryId must be a category id').optional().isInt({ min: 1 }),
+      check('date', 'Date must be a valid date').optional().isDate(),
+      check('currency', 'Currency must be a 3-letter ISO 4217 code').optional().isISO4217(),
+    ],
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { amount, description, category, categoryId, date, currency, split, tags } = req.body;
+
+      const expense = await Expense.findOne({
+        where: {
+          id: req.params.id,
+          user_id: req.user.id,
+        },
+      });
+
+      if (!expense) {
+        return res.status(404).json({
+          success: false,
+          message: 'Expense not found',
+        });
+      }
+
+      const previousDate = expense.date;
+      const newAmount = amount || expense.amount;
+      const existingSplit = await findSplit(expense.id);
+
+      // A new split replaces the old one, null removes it, and an amount
+      // change recalculates the existing split with the same values
+      let splitPlan = null;
+      if (split) {
+        splitPlan = await buildSplitPlan(req.user, newAmount, split);
+      } else if (split === undefined && existingSplit && amount) {
+        splitPlan = await buildSplitPlan(req.user, newAmount, {
+          type: existingSplit.splitType,
+          payerId: existingSplit.payerId,
+          participants: existingSplit.shares.map(share => ({
+            userId: share.userId,
+            value: share.shareValue
+          }))
+        });
+      }
+
+      // Update expense
+      const updatedExpense = await sequelize.transaction(async (transaction) => {
+        const categoryRecord = category || categoryId
+          ? await resolveCategory(req.user.id, { categoryId, category }, transaction)
+          : null;
+
+        await expense.update({
+          amount: newAmount,
+          notes: description || expense.notes,
+          category: categoryRecord ? categoryRecord.name : expense.category,
+          category_id: categoryRecord ? categoryRecord.id : expense.category_id,
+          date: date || expense.date,
+          currency: normalizeCurrency(currency) || expense.currency,
+        }, { transaction });
+
+        if (splitPlan) {
+          await saveSplit(expense, splitPlan, transaction);
+        } else if (split === null) {
+          await SharedExpense.destroy({ where: { expenseId: expense.id }, transaction });
+        }
+
+        // A tags array replaces the expense's tags
+        if (tags !== undefined) {
+          await setExpenseTags(req.user.id, expense.id, parseTagNames(tags), transaction);
+        }
+
+        return expense;
+      });
+      
+      console.log('Updated expense:', updatedExpense.id);
+
+      // Both the old and the new period may be affected by a date change
+      const alerts = await checkBudgetAlerts(req.user, [previousDate, updatedExpense.date]);
+
+      res.json({
+        success: true,
+        expense: updatedExpense,
+        alerts,
+        tags: (await loadExpenseTags([expense.id])).get(expense.id),
+        split: serializeSplit(await findSplit(expense.id)),
+      });
+    } catch (error) {
+      console.error('Error updating expense:', error);
+
+      if (error.name === 'SplitError' || error.name === 'CategoryError' || error.name === 'TagError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.errors.map(e => e.message),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/expenses/:id?receipts=detach|delete
+// @desc    Delete an expense. Attached receipts are detached and kept as
+//          plain documents by default, or deleted with receipts=delete.
+// @access  Private (token scope: expenses:write)
+router.delete('/:id', auth.scope('expenses:write'), async (req, res) => {
   try {
+    const receiptMode = req.query.receipts || 'detach';
+    if (!['detach', 'delete'].includes(receiptMode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'receipts must be either detach or delete',
+      });
+    }
+
     const expense = await Expense.findOne({
       where: {
         id: req.params.id,
@@ -141,11 +880,39 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    await expense.destroy();
+    const receipts = await Document.findAll({
+      where: { expenseId: expense.id },
+    });
+
+    await sequelize.transaction(async (transaction) => {
+      if (receiptMode === 'delete') {
+        await Document.destroy({ where: { expenseId: expense.id }, transaction });
+      } else {
+        await Document.update({ expenseId: null }, { where: { expenseId: expense.id }, transaction });
+      }
+
+      await expense.destroy({ transaction });
+    });
+
+    // Only remove files once the records are gone for good
+    if (receiptMode === 'delete') {
+      receipts.forEach(receipt => {
+        if (fs.existsSync(receipt.filePath)) {
+          fs.unlinkSync(receipt.filePath);
+        }
+      });
+    }
+
+    const alerts = await checkBudgetAlerts(req.user, [expense.date]);
 
     res.json({
       success: true,
       message: 'Expense removed',
+      alerts,
+      receipts: {
+        mode: receiptMode,
+        count: receipts.length,
+      },
     });
   } catch (error) {
     console.error('Error deleting expense:', error);
@@ -156,4 +923,7 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// Error handling middleware for multer
+router.use(handleUploadErrors);
+
 module.exports = router;
@@ -0,0 +1,219 @@
+const express = require('express');
+const router = express.Router();
+const { check, query } = require('express-validator');
+const { Op } = require('sequelize');
+const { Income } = require('../models');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { parseList } = require('../utils/expenseFilters');
+const { normalizeCurrency, loadCurrencyConverter } = require('../utils/currency');
+
+// @route   POST /api/income
+// @desc    Record income (stipend, wages, allowance, ...)
+// @access  Private
+router.post(
+  '/',
+  [
+    auth,
+    [
+      check('amount', 'Amount is required and must be greater than 0').isFloat({ min: 0.01 }),
+      check('source', 'Source is required').trim().notEmpty(),
+      check('date', 'Date must be a valid date').optional().isDate(),
+      check('currency', 'Currency must be a 3-letter ISO 4217 code').optional().isISO4217(),
+    ],
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { amount, description, source, date, currency } = req.body;
+
+      const income = await Income.create({
+        userId: req.user.id,
+        amount,
+        currency: normalizeCurrency(currency) || req.user.home_currency,
+        notes: description,
+        source,
+        date: date || new Date(),
+      });
+
+      console.log('New income created:', income.id);
+
+      res.status(201).json({
+        success: true,
+        income,
+      });
+    } catch (error) {
+      console.error('Error creating income:', error);
+
+      if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.errors.map(e => e.message),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// @route   GET /api/income
+// @desc    Get income for the authenticated user
+//          Filters: startDate, endDate, source (repeat or comma-separate)
+//          total is in the user's home currency; entries without a stored
+//          exchange rate are left out of it and listed in missingRates
+// @access  Private
+router.get(
+  '/',
+  [
+    auth,
+    query('startDate', 'startDate must be a valid date (YYYY-MM-DD)').optional().isString().isDate(),
+    query('endDate', 'endDate must be a valid date (YYYY-MM-DD)').optional().isString().isDate(),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const where = { userId: req.user.id };
+      const { startDate, endDate } = req.query;
+
+      if (startDate || endDate) {
+        where.date = {};
+        if (startDate) where.date[Op.gte] = startDate;
+        if (endDate) where.date[Op.lte] = endDate;
+      }
+
+      const sources = parseList(req.query.source);
+      if (sources.length > 0) {
+        where.source = { [Op.in]: sources };
+      }
+
+      const income = await Income.findAll({
+        where,
+        order: [['date', 'DESC'], ['id', 'DESC']],
+      });
+
+      const converter = await loadCurrencyConverter(req.user.home_currency);
+      const total = income.reduce(
+        (sum, entry) => sum + (converter.convert(entry.amount, entry.currency, entry.date) || 0),
+        0
+      );
+
+      res.json({
+        success: true,
+        count: income.length,
+        total: Math.round(total * 100) / 100,
+        homeCurrency: converter.homeCurrency,
+        missingRates: converter.missing,
+        data: income,
+      });
+    } catch (error) {
+      console.error('Error fetching income:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+      });
+    }
+  }
+);
+
+// @route   PUT /api/income/:id
+// @desc    Update an income entry
+// @access  Private
+router.put(
+  '/:id',
+  [
+    auth,
+    check('amount', 'Amount must be greater than 0').optional().isFloat({ min: 0.01 }),
+    check('date', 'Date must be a valid date').optional().isDate(),
+    check('currency', 'Currency must be a 3-letter ISO 4217 code').optional().isISO4217(),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { amount, description, source, date, currency } = req.body;
+
+      const income = await Income.findOne({
+        where: {
+          id: req.params.id,
+          userId: req.user.id,
+        },
+      });
+
+      if (!income) {
+        return res.status(404).json({
+          success: false,
+          message: 'Income not found',
+        });
+      }
+
+      await income.update({
+        amount: amount || income.amount,
+        currency: normalizeCurrency(currency) || income.currency,
+        notes: description !== undefined ? description : income.notes,
+        source: source || income.source,
+        date: date || income.date,
+      });
+
+      res.json({
+        success: true,
+        income,
+      });
+    } catch (error) {
+      console.error('Error updating income:', error);
+
+      if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.errors.map(e => e.message),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/income/:id
+// @desc    Delete an income entry
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const income = await Income.findOne({
+      where: {
+        id: req.params.id,
+        userId: req.user.id,
+      },
+    });
+
+    if (!income) {
+      return res.status(404).json({
+        success: false,
+        message: 'Income not found',
+      });
+    }
+
+    await income.destroy();
+
+    res.json({
+      success: true,
+      message: 'Income removed',
+    });
+  } catch (error) {
+    console.error('Error deleting income:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
+module.exports = router;
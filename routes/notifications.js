@@ -0,0 +1,335 @@
+const express = require('express');
+const router = express.Router();
+const { check, query } = require('express-validator');
+const { Notification, NotificationPreference } = require('../models');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const {
+  CHANNELS,
+  NOTIFICATION_TYPES,
+  ALLOW_PRIVATE_WEBHOOK_HOSTS,
+  checkWebhookUrl,
+  resolveChannels
+} = require('../utils/notifications');
+
+const findNotification = (req) => Notification.findOne({
+  where: {
+    id: req.params.id,
+    userId: req.user.id
+  }
+});
+
+// Effective channels for every type, plus the webhook settings (never the secret)
+const formatPreferences = (preference) => ({
+  channels: Object.fromEntries(
+    NOTIFICATION_TYPES.map(type => [type, resolveChannels(preference, type)])
+  ),
+  webhookUrl: preference ? preference.webhookUrl : null,
+  hasWebhookSecret: Boolean(preference && preference.webhookSecret)
+});
+
+// Validate a { type: [channel, ...] } map, returning error messages
+const checkChannels = (channels) => {
+  if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+    return ['channels must be an object of notification type to channel list'];
+  }
+
+  const errors = [];
+  for (const [type, list] of Object.entries(channels)) {
+    if (!NOTIFICATION_TYPES.includes(type)) {
+      errors.push(`Unknown notification type "${type}" (expected one of: ${NOTIFICATION_TYPES.join(', ')})`);
+    } else if (!Array.isArray(list) || list.some(channel => !CHANNELS.includes(channel))) {
+      errors.push(`Channels for ${type} must be a list of: ${CHANNELS.join(', ')}`);
+    }
+  }
+  return errors;
+};
+
+// @route   GET /api/notifications
+// @desc    Get the user's notifications, newest first. Dismissed ones are
+//          hidden unless includeDismissed=true; unread=true hides read ones.
+// @access  Private
+router.get(
+  '/',
+  [
+    auth,
+    query('unread', 'unread must be true or false').optional().isBoolean(),
+    query('includeDismissed', 'includeDismissed must be true or false').optional().isBoolean(),
+    query('limit', 'limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 })
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const where = { userId: req.user.id };
+      if (req.query.includeDismissed !== 'true') {
+        where.dismissedAt = null;
+      }
+      if (req.query.unread === 'true') {
+        where.readAt = null;
+      }
+
+      const notifications = await Notification.findAll({
+        where,
+        attributes: { exclude: ['dedupeKey'] },
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit: parseInt(req.query.limit || 50, 10)
+      });
+
+      const unreadCount = await Notification.count({
+        where: { userId: req.user.id, readAt: null, dismissedAt: null }
+      });
+
+      res.json({
+        success: true,
+        count: notifications.length,
+        unreadCount,
+        data: notifications
+      });
+    } catch (err) {
+      console.error('Error fetching notifications:', err);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   GET /api/notifications/preferences
+// @desc    Get the channels used for each notification type
+// @access  Private
+router.get('/preferences', auth, async (req, res) => {
+  try {
+    const preference = await NotificationPreference.findOne({ where: { userId: req.user.id } });
+
+    res.json({
+      success: true,
+      data: formatPreferences(preference)
+    });
+  } catch (err) {
+    console.error('Error fetching notification preferences:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update channel preferences. channels maps a notification type to
+//          a list of channels (in_app, email, webhook); types left out keep
+//          their current setting. webhookUrl/webhookSecret may be null to clear.
+// @access  Private
+router.put(
+  '/preferences',
+  [
+    auth,
+    check('webhookUrl', 'Webhook URL must be an http(s) URL')
+      .optional({ values: 'null' })
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: !ALLOW_PRIVATE_WEBHOOK_HOSTS })
+      .bail()
+      .custom(async (value) => {
+        const refused = await checkWebhookUrl(value);
+        if (refused) {
+          throw new Error(refused);
+        }
+        return true;
+      }),
+    check('webhookSecret', 'Webhook secret must be between 16 and 64 characters')
+      .optional({ values: 'null' })
+      .isString()
+      .isLength({ min: 16, max: 64 })
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { channels, webhookUrl, webhookSecret } = req.body;
+
+      if (channels !== undefined) {
+        const errors = checkChannels(channels);
+        if (errors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'Validation error',
+            errors
+          });
+        }
+      }
+
+      const [preference] = await NotificationPreference.findOrCreate({
+        where: { userId: req.user.id },
+        defaults: { channels: {} }
+      });
+
+      const updates = {};
+      if (channels !== undefined) {
+        const merged = { ...preference.channels };
+        for (const [type, list] of Object.entries(channels)) {
+          merged[type] = [...new Set(list)];
+        }
+        updates.channels = merged;
+      }
+      if (webhookUrl !== undefined) updates.webhookUrl = webhookUrl;
+      if (webhookSecret !== undefined) updates.webhookSecret = webhookSecret;
+
+      const effective = { ...preference.get(), ...updates };
+      const wantsWebhook = NOTIFICATION_TYPES.some(type =>
+        resolveChannels(effective, type).includes('webhook')
+      );
+      if (wantsWebhook && !effective.webhookUrl) {
+        return res.status(400).json({
+          success: false,
+          message: 'A webhook URL is required to use the webhook channel'
+        });
+      }
+
+      await preference.update(updates);
+
+      res.json({
+        success: true,
+        data: formatPreferences(preference)
+      });
+    } catch (err) {
+      console.error('Error updating notification preferences:', err);
+
+      if (err.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: err.errors.map(e => e.message)
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    const [updated] = await Notification.update(
+      { readAt: new Date() },
+      { where: { userId: req.user.id, readAt: null } }
+    );
+
+    res.json({
+      success: true,
+      updated
+    });
+  } catch (err) {
+    console.error('Error marking notifications as read:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = await findNotification(req);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      await notification.update({ readAt: new Date() });
+    }
+
+    res.json({
+      success: true,
+      data: notification
+    });
+  } catch (err) {
+    console.error('Error marking notification as read:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/notifications/:id/dismiss
+// @desc    Dismiss a notification. It is hidden from the list but kept so
+//          the same alert is not raised again for the period.
+// @access  Private
+router.put('/:id/dismiss', auth, async (req, res) => {
+  try {
+    const notification = await findNotification(req);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    await notification.update({
+      readAt: notification.readAt || new Date(),
+      dismissedAt: notification.dismissedAt || new Date()
+    });
+
+    res.json({
+      success: true,
+      message: 'Notification dismissed'
+    });
+  } catch (err) {
+    console.error('Error dismissing notification:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/notifications/:id
+// @desc    Delete a notification. Alerts that guard against repeats (budget
+//          thresholds, digests) are dismissed instead so they stay sent.
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const notification = await findNotification(req);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (notification.dedupeKey) {
+      await notification.update({
+        readAt: notification.readAt || new Date(),
+        dismissedAt: notification.dismissedAt || new Date()
+      });
+    } else {
+      await notification.destroy();
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification removed'
+    });
+  } catch (err) {
+    console.error('Error deleting notification:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
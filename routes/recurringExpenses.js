@@ -0,0 +1,432 @@
+const express = require('express');
+const router = express.Router();
+const { check, query } = require('express-validator');
+const { RecurringExpense, Expense, sequelize } = require('../models');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { FREQUENCIES, iterateOccurrences } = require('../utils/recurrence');
+const { parseDateOnly, formatDateOnly } = require('../utils/periods');
+const { materializeTemplate } = require('../jobs/recurringExpenses');
+const { normalizeCurrency } = require('../utils/currency');
+const { resolveCategory } = require('../utils/categories');
+
+const toDateString = (value) => (value ? formatDateOnly(parseDateOnly(value)) : null);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far back a template may start. Past occurrences are generated in one
+// go, so this bounds the size of that backfill.
+const MAX_BACKFILL_DAYS = 366;
+
+const START_DATE_MESSAGE = 'Start date cannot be more than a year in the past';
+
+const earliestStartDate = () => formatDateOnly(new Date(Date.now() - MAX_BACKFILL_DAYS * DAY_MS));
+
+const templateValidators = (optional) => {
+  const field = (name, message) => (optional ? check(name, message).optional() : check(name, message));
+  return [
+    field('amount', 'Amount is required and must be greater than 0').isFloat({ min: 0.01 }),
+    field('category', 'Category or categoryId is required').if((value, { req }) => !req.body.categoryId).trim().notEmpty(),
+    check('categoryId', 'categoryId must be a category id').optional().isInt({ min: 1 }),
+    field('frequency', `Frequency must be one of: ${FREQUENCIES.join(', ')}`).isIn(FREQUENCIES),
+    field('startDate', 'Start date is required (YYYY-MM-DD)')
+      .isDate()
+      .bail()
+      // Updates check this against the stored start date instead
+      .if(() => !optional)
+      .custom(value => toDateString(value) >= earliestStartDate())
+      .withMessage(START_DATE_MESSAGE),
+    check('endDate', 'End date must be a valid date (YYYY-MM-DD)').optional({ values: 'null' }).isDate(),
+    check('dayOfMonth', 'Day of month must be between 1 and 31').optional({ values: 'null' }).isInt({ min: 1, max: 31 }),
+    check('currency', 'Currency must be a 3-letter ISO 4217 code').optional().isISO4217(),
+    check('isActive', 'isActive must be true or false').optional().isBoolean()
+  ];
+};
+
+// Upcoming occurrences that have not been turned into expenses yet.
+// Skipped dates are included and flagged so they can be un-skipped.
+const getUpcoming = (template, count) => {
+  const today = toDateString(new Date());
+  const nextUngenerated = template.lastGeneratedDate
+    ? formatDateOnly(new Date(parseDateOnly(template.lastGeneratedDate).getTime() + DAY_MS))
+    : toDateString(template.startDate);
+  const from = nextUngenerated > today ? nextUngenerated : today;
+  const skipped = new Set(template.skippedDates || []);
+  const rule = {
+    frequency: template.frequency,
+    dayOfMonth: template.dayOfMonth,
+    startDate: toDateString(template.startDate),
+    endDate: toDateString(template.endDate)
+  };
+
+  const occurrences = [];
+  for (const date of iterateOccurrences(rule, from)) {
+    if (occurrences.length >= count) break;
+    occurrences.push({ date, skipped: skipped.has(date) });
+  }
+  return occurrences;
+};
+
+const findTemplate = (req) => RecurringExpense.findOne({
+  where: {
+    id: req.params.id,
+    userId: req.user.id
+  }
+});
+
+const handleValidationError = (err, res, fallbackMessage) => {
+  if (err.name === 'CategoryError') {
+    return res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+
+  if (err.name === 'SequelizeValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: err.errors.map(e => e.message)
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// @route   GET /api/recurring-expenses
+// @desc    Get all recurring expense templates for a user
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const templates = await RecurringExpense.findAll({
+      where: { userId: req.user.id },
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: templates.map(template => {
+        const next = getUpcoming(template, 10).find(occurrence => !occurrence.skipped);
+        return {
+          ...template.toJSON(),
+          nextOccurrence: next ? next.date : null
+        };
+      })
+    });
+  } catch (err) {
+    console.error('Error fetching recurring expenses:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/recurring-expenses/:id
+// @desc    Get a recurring expense template
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const template = await findTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring expense not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (err) {
+    console.error('Error fetching recurring expense:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/recurring-expenses/:id/upcoming?count=5
+// @desc    Preview the next occurrences of a template
+// @access  Private
+router.get(
+  '/:id/upcoming',
+  [
+    auth,
+    query('count', 'count must be between 1 and 50').optional().isInt({ min: 1, max: 50 })
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const template = await findTemplate(req);
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Recurring expense not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: getUpcoming(template, parseInt(req.query.count || 5, 10))
+      });
+    } catch (err) {
+      console.error('Error previewing recurring expense:', err);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/recurring-expenses
+// @desc    Create a recurring expense template. Occurrences that are
+//          already due (start date in the past) are generated right away.
+// @access  Private
+router.post('/', [auth, ...templateValidators(false)], validate, async (req, res) => {
+  try {
+    const { amount, currency, category, categoryId, notes, frequency, dayOfMonth, startDate, endDate } = req.body;
+    const categoryRecord = await resolveCategory(req.user.id, { categoryId, category });
+
+    const template = await RecurringExpense.create({
+      userId: req.user.id,
+      amount: parseFloat(amount),
+      currency: normalizeCurrency(currency) || req.user.home_currency,
+      category: categoryRecord.name,
+      categoryId: categoryRecord.id,
+      notes: notes || null,
+      frequency,
+      dayOfMonth: frequency === 'monthly' && dayOfMonth ? parseInt(dayOfMonth, 10) : null,
+      startDate,
+      endDate: endDate || null,
+      skippedDates: []
+    });
+
+    const generated = await materializeTemplate(template);
+
+    console.log(`Recurring expense ${template.id} created for user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: template,
+      generated
+    });
+  } catch (err) {
+    console.error('Error creating recurring expense:', err);
+    handleValidationError(err, res, 'Server error while creating recurring expense');
+  }
+});
+
+// @route   PUT /api/recurring-expenses/:id
+// @desc    Update a template. Changes apply to occurrences that have not
+//          been generated yet; existing expenses are left as they are.
+// @access  Private
+router.put('/:id', [auth, ...templateValidators(true)], validate, async (req, res) => {
+  try {
+    const template = await findTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring expense not found'
+      });
+    }
+
+    const { amount, currency, category, categoryId, notes, frequency, dayOfMonth, startDate, endDate, isActive } = req.body;
+
+    // An unchanged start date may be older than the limit
+    if (startDate && toDateString(startDate) !== toDateString(template.startDate) &&
+      toDateString(startDate) < earliestStartDate()) {
+      return res.status(400).json({
+        success: false,
+        message: START_DATE_MESSAGE
+      });
+    }
+    const newFrequency = frequency || template.frequency;
+    const categoryRecord = category || categoryId
+      ? await resolveCategory(req.user.id, { categoryId, category })
+      : null;
+    const active = isActive !== undefined ? isActive === true || isActive === 'true' : template.isActive;
+
+    // Resuming a paused template picks up from today; the occurrences that
+    // fell inside the pause are not backfilled.
+    const yesterday = formatDateOnly(new Date(parseDateOnly(toDateString(new Date())).getTime() - DAY_MS));
+    const resumed = active && !template.isActive;
+    const lastGeneratedDate = resumed && !(toDateString(template.lastGeneratedDate) >= yesterday)
+      ? yesterday
+      : template.lastGeneratedDate;
+
+    await template.update({
+      amount: amount !== undefined ? parseFloat(amount) : template.amount,
+      currency: normalizeCurrency(currency) || template.currency,
+      category: categoryRecord ? categoryRecord.name : template.category,
+      categoryId: categoryRecord ? categoryRecord.id : template.categoryId,
+      notes: notes !== undefined ? notes : template.notes,
+      frequency: newFrequency,
+      dayOfMonth: newFrequency !== 'monthly'
+        ? null
+        : (dayOfMonth !== undefined ? dayOfMonth : template.dayOfMonth),
+      startDate: startDate || template.startDate,
+      endDate: endDate !== undefined ? endDate : template.endDate,
+      isActive: active,
+      lastGeneratedDate
+    });
+
+    const generated = await materializeTemplate(template);
+
+    res.json({
+      success: true,
+      data: template,
+      generated
+    });
+  } catch (err) {
+    console.error('Error updating recurring expense:', err);
+    handleValidationError(err, res, 'Server error while updating recurring expense');
+  }
+});
+
+// @route   DELETE /api/recurring-expenses/:id
+// @desc    Delete a template. Expenses it already generated are kept.
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const template = await findTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring expense not found'
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await Expense.update(
+        { recurring_expense_id: null },
+        { where: { recurring_expense_id: template.id }, transaction }
+      );
+      await template.destroy({ transaction });
+    });
+
+    res.json({
+      success: true,
+      message: 'Recurring expense deleted'
+    });
+  } catch (err) {
+    console.error('Error deleting recurring expense:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/recurring-expenses/:id/skip
+// @desc    Skip a single upcoming occurrence
+// @access  Private
+router.post(
+  '/:id/skip',
+  [
+    auth,
+    check('date', 'Date is required (YYYY-MM-DD)').isDate()
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const template = await findTemplate(req);
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Recurring expense not found'
+        });
+      }
+
+      const date = toDateString(req.body.date);
+      const rule = {
+        frequency: template.frequency,
+        dayOfMonth: template.dayOfMonth,
+        startDate: toDateString(template.startDate),
+        endDate: toDateString(template.endDate)
+      };
+      const { value: occurrence } = iterateOccurrences(rule, date).next();
+
+      if (occurrence !== date) {
+        return res.status(400).json({
+          success: false,
+          message: `${date} is not an occurrence of this recurring expense`
+        });
+      }
+
+      if (template.lastGeneratedDate && date <= toDateString(template.lastGeneratedDate)) {
+        return res.status(409).json({
+          success: false,
+          message: 'This occurrence has already been recorded. Delete the expense instead.'
+        });
+      }
+
+      const skippedDates = new Set(template.skippedDates || []);
+      skippedDates.add(date);
+      await template.update({ skippedDates: [...skippedDates].sort() });
+
+      res.json({
+        success: true,
+        data: template
+      });
+    } catch (err) {
+      console.error('Error skipping recurring expense occurrence:', err);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/recurring-expenses/:id/skip/:date
+// @desc    Undo skipping an occurrence
+// @access  Private
+router.delete('/:id/skip/:date', auth, async (req, res) => {
+  try {
+    const template = await findTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring expense not found'
+      });
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(req.params.date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date must be in YYYY-MM-DD format'
+      });
+    }
+
+    const date = req.params.date;
+    await template.update({
+      skippedDates: (template.skippedDates || []).filter(skipped => skipped !== date)
+    });
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (err) {
+    console.error('Error restoring recurring expense occurrence:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,325 +1,591 @@
 const express = require('express');
 const router = express.Router();
-const { Expense, Budget, sequelize } = require('../models');
+const { Expense, Budget, Income, Category, sequelize } = require('../models');
 const auth = require('../middleware/auth');
 const { Op } = require('sequelize');
+const { query } = require('express-validator');
+const validate = require('../middleware/validate');
+const { parseList } = require('../utils/expenseFilters');
+const { loadCurrencyConverter } = require('../utils/currency');
+const { createCategoryTree, normalizeCategoryName } = require('../utils/categories');
+const { loadExpenseTags } = require('../utils/tags');
+const { EXPORT_FORMATS, sendExport } = require('../utils/exporters');
+const {
+  BUDGET_PERIODS,
+  parseDateOnly,
+  formatDateOnly,
+  getPeriodWindows
+} = require('../utils/periods');
 
-// @route   GET /api/reports
-// @desc    Get expense reports for a user
-// @access  Private
-router.get('/', auth, async (req, res) => {
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+// Longest range a report may cover. Budget comparisons build one window per
+// budget period, so an open-ended range would build millions of them.
+const MAX_REPORT_YEARS = 5;
+
+// Strict so the dates can go into export filenames as they are
+const DATE_FORMAT = { format: 'YYYY-MM-DD', strictMode: true, delimiters: ['-'] };
+
+const reportRangeValidators = [
+  query('startDate', 'Please provide startDate (YYYY-MM-DD)').isString().isDate(DATE_FORMAT),
+  query('endDate', 'Please provide endDate (YYYY-MM-DD)').isString().isDate(DATE_FORMAT),
+  query('level', 'level must be a non-negative integer').optional().isInt({ min: 0 })
+];
+
+// Check the span of an already validated startDate/endDate pair.
+// Returns an error message, or null when the range is usable.
+const validateReportRange = ({ startDate, endDate }) => {
+  const start = parseDateOnly(startDate);
+  const end = parseDateOnly(endDate);
+  
+  if (end < start) {
+    return 'End date cannot be before start date';
+  }
+  
+  const limit = new Date(start);
+  limit.setUTCFullYear(limit.getUTCFullYear() + MAX_REPORT_YEARS);
+  if (end >= limit) {
+    return `A report can cover at most ${MAX_REPORT_YEARS} years`;
+  }
+  
+  return null;
+};
+
+// Calculate the report for a user. Filters: startDate, endDate, and
+// category names or categoryId (repeat or comma-separate to include several
+// categories; subcategories are always included).
+// level rolls expensesByCategory up to the ancestors at that depth of the
+// category tree (0 = top-level categories); without it each expense counts
+// towards its own category.
+// Amounts are converted into the user's home currency using the stored
+// exchange rate for each expense's date.
+const buildReport = async (user, { startDate, endDate, category, categoryId, level }) => {
+  const userId = user.id;
+  const converter = await loadCurrencyConverter(user.home_currency);
+  const homeCurrency = converter.homeCurrency;
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  const categories = parseList(category);
+  const categoryIds = parseList(categoryId).map(id => parseInt(id, 10)).filter(id => !isNaN(id));
+  const rollUpLevel = level !== undefined ? parseInt(level, 10) : null;
+  
+  const categoryRecords = await Category.findAll({
+    where: { userId },
+    attributes: ['id', 'name', 'parentId', 'color', 'icon'],
+    raw: true
+  });
+  const tree = createCategoryTree(categoryRecords);
+  
+  const expenseWhere = {
+    user_id: userId,
+    date: {
+      [Op.between]: [start, end]
+    }
+  };
+  const budgetWhere = { userId };
+  
+  if (categories.length > 0 || categoryIds.length > 0) {
+    // Selected categories plus everything below them. Rows that were never
+    // linked to a category still match on the name.
+    const names = new Set(categories.map(name => normalizeCategoryName(name).toLowerCase()));
+    const selectedIds = new Set();
+    categoryRecords
+      .filter(record => categoryIds.includes(record.id) || names.has(record.name.toLowerCase()))
+      .forEach(record => tree.descendantIds(record.id).forEach(id => selectedIds.add(id)));
+    
+    expenseWhere[Op.or] = [
+      { category_id: { [Op.in]: [...selectedIds] } },
+      { category_id: null, category: { [Op.in]: categories } }
+    ];
+    budgetWhere[Op.or] = [
+      { categoryId: { [Op.in]: [...selectedIds] } },
+      { categoryId: null, category: { [Op.in]: categories } }
+    ];
+  }
+  
+  // Get all expenses within the date range
+  let expenses = [];
+  try {
+    expenses = await Expense.findAll({
+      where: expenseWhere,
+      attributes: ['id', 'amount', 'currency', 'category', 'category_id', 'date']
+    });
+    console.log(`Found ${expenses.length} expenses for the date range`);
+  } catch (expenseErr) {
+    console.error('Error fetching expenses:', expenseErr);
+    throw new Error(`Failed to fetch expenses: ${expenseErr.message}`);
+  }
+  
+  // Get all budgets for the user
+  let budgets = [];
   try {
-    const { startDate, endDate } = req.query;
+    budgets = await Budget.findAll({
+      where: budgetWhere,
+      attributes: ['id', 'name', 'amount', 'currency', 'category', 'categoryId', 'period']
+    });
+    console.log(`Found ${budgets.length} budgets for the user`);
+  } catch (budgetErr) {
+    console.error('Error fetching budgets:', budgetErr);
+    throw new Error(`Failed to fetch budgets: ${budgetErr.message}`);
+  }
+  
+  // Convert expenses into the home currency, keeping the original amounts.
+  // Expenses without a rate for their date are left out of the converted
+  // totals and the missing pairs are listed in missingRates.
+  const currencyTotals = {};
+  expenses = expenses.map(expense => {
+    const currency = expense.currency || homeCurrency;
+    const originalAmount = parseFloat(expense.amount || 0);
+    const amount = converter.convert(originalAmount, currency, expense.date);
     
-    // Validate date range
-    if (!startDate || !endDate) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide startDate and endDate'
-      });
+    if (!currencyTotals[currency]) {
+      currencyTotals[currency] = { originalAmount: 0, amount: 0 };
     }
+    currencyTotals[currency].originalAmount += isNaN(originalAmount) ? 0 : originalAmount;
+    currencyTotals[currency].amount += amount || 0;
     
-    // Parse dates
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    return {
+      id: expense.id,
+      category: expense.category,
+      categoryId: expense.category_id,
+      date: expense.date,
+      currency,
+      originalAmount,
+      amount
+    };
+  });
+  
+  const expensesByCurrency = Object.keys(currencyTotals).sort().map(currency => ({
+    currency,
+    originalAmount: roundCurrency(currencyTotals[currency].originalAmount),
+    amount: roundCurrency(currencyTotals[currency].amount)
+  }));
+  
+  // Calculate total expenses - with error handling
+  let totalExpenses = 0;
+  try {
+    totalExpenses = roundCurrency(expenses.reduce((sum, expense) => {
+      const amount = parseFloat(expense.amount || 0);
+      return isNaN(amount) ? sum : sum + amount;
+    }, 0));
+    console.log('Total expenses calculated:', totalExpenses);
+  } catch (calcError) {
+    console.error('Error calculating total expenses:', calcError);
+    totalExpenses = 0; // Default to 0 if calculation fails
+  }
+  
+  // Calculate expenses by category - with error handling
+  const expensesByCategory = [];
+  const categoryTotals = {};
+  const categoryOriginals = {};
+  const categoryIdsByName = {};
+  // Spending booked directly on each category, for the category tree
+  const ownTotals = new Map();
+  
+  try {
+    // Safely process each expense
+    expenses.forEach(expense => {
+      try {
+        // Handle potentially missing or invalid category
+        let category = expense.category || 'other';
+        // Handle potentially invalid amount
+        const amount = parseFloat(expense.amount || 0);
+        
+        if (isNaN(amount)) {
+          console.warn('Invalid expense amount:', expense);
+          return; // Skip this expense
+        }
+        
+        const record = expense.categoryId ? tree.byId.get(expense.categoryId) : null;
+        if (record) {
+          ownTotals.set(record.id, (ownTotals.get(record.id) || 0) + amount);
+          const grouped = rollUpLevel !== null ? tree.ancestorAtDepth(record.id, rollUpLevel) : record;
+          category = grouped.name;
+          categoryIdsByName[category] = grouped.id;
+        }
+        
+        if (!categoryTotals[category]) {
+          categoryTotals[category] = 0;
+          categoryOriginals[category] = {};
+        }
+        
+        categoryTotals[category] += amount;
+        categoryOriginals[category][expense.currency] =
+          (categoryOriginals[category][expense.currency] || 0) + expense.originalAmount;
+      } catch (expError) {
+        console.error('Error processing expense for category calculation:', expError, expense);
+        // Continue with next expense
+      }
+    });
     
-    // Ensure valid date range
-    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid date format'
+    // Convert totals to array format
+    Object.keys(categoryTotals).forEach(category => {
+      const originalAmounts = {};
+      Object.keys(categoryOriginals[category]).forEach(currency => {
+        originalAmounts[currency] = roundCurrency(categoryOriginals[category][currency]);
       });
-    }
-    
-    // Ensure end date is not before start date
-    if (end < start) {
-      return res.status(400).json({
-        success: false,
-        message: 'End date cannot be before start date'
+      
+      expensesByCategory.push({
+        category,
+        categoryId: categoryIdsByName[category] || null,
+        amount: roundCurrency(categoryTotals[category]),
+        originalAmounts
       });
-    }
-    
-    // Debug info
-    console.log('Report request:', {
-      userId: req.user.id,
-      startDate: req.query.startDate,
-      endDate: req.query.endDate,
-      startObj: start,
-      endObj: end
     });
     
-    // Get all expenses within the date range
-    let expenses = [];
-    try {
-      expenses = await Expense.findAll({
-        where: {
-          user_id: req.user.id, // Fixed: changed userId to user_id to match the database schema
-          date: {
-            [Op.between]: [start, end]
-          }
-        },
-        attributes: ['id', 'amount', 'category', 'date']
-      });
-      console.log(`Found ${expenses.length} expenses for the date range`);
-    } catch (expenseErr) {
-      console.error('Error fetching expenses:', expenseErr);
-      throw new Error(`Failed to fetch expenses: ${expenseErr.message}`);
-    }
+    console.log(`Processed ${expensesByCategory.length} categories`);
+  } catch (categoryError) {
+    console.error('Error calculating expenses by category:', categoryError);
+    // Return empty array if calculation fails completely
+  }
+  
+  // Category tree with roll-up totals: `amount` is spending booked on the
+  // category itself, `total` also includes all of its subcategories.
+  // Branches without spending are left out.
+  const buildCategoryNode = (record) => {
+    const children = tree.childrenOf(record.id)
+      .map(buildCategoryNode)
+      .filter(Boolean);
+    const amount = ownTotals.get(record.id) || 0;
+    const total = children.reduce((sum, child) => sum + child.total, amount);
     
-    // Get all budgets for the user
-    let budgets = [];
-    try {
-      budgets = await Budget.findAll({
-        where: {
-          user_id: req.user.id // Fixed: changed userId to user_id to match the database schema
-        },
-        attributes: ['id', 'amount', 'category', 'period']
-      });
-      console.log(`Found ${budgets.length} budgets for the user`);
-    } catch (budgetErr) {
-      console.error('Error fetching budgets:', budgetErr);
-      throw new Error(`Failed to fetch budgets: ${budgetErr.message}`);
+    if (total === 0) {
+      return null;
     }
     
-    // Calculate total expenses - with error handling
-    let totalExpenses = 0;
-    try {
-      totalExpenses = expenses.reduce((sum, expense) => {
-        const amount = parseFloat(expense.amount || 0);
-        return isNaN(amount) ? sum : sum + amount;
-      }, 0);
-      console.log('Total expenses calculated:', totalExpenses);
-    } catch (calcError) {
-      console.error('Error calculating total expenses:', calcError);
-      totalExpenses = 0; // Default to 0 if calculation fails
-    }
+    return {
+      categoryId: record.id,
+      name: record.name,
+      color: record.color,
+      icon: record.icon,
+      depth: tree.depthOf(record.id),
+      amount: roundCurrency(amount),
+      total: roundCurrency(total),
+      children
+    };
+  };
+  const categoryTree = tree.roots().map(buildCategoryNode).filter(Boolean);
+  
+  // Calculate totals per tag - with error handling
+  // An expense with several tags counts towards each of them, so these
+  // totals can add up to more than totalExpenses.
+  const expensesByTag = [];
+  
+  try {
+    const tagsByExpense = await loadExpenseTags(expenses.map(expense => expense.id));
+    const tagTotals = {};
     
-    // Calculate expenses by category - with error handling
-    const expensesByCategory = [];
-    const categoryTotals = {};
+    expenses.forEach(expense => {
+      const amount = parseFloat(expense.amount || 0);
+      if (isNaN(amount)) {
+        return; // Skip this expense
+      }
+      
+      tagsByExpense.get(expense.id).forEach(tag => {
+        if (!tagTotals[tag]) {
+          tagTotals[tag] = { amount: 0, count: 0 };
+        }
+        tagTotals[tag].amount += amount;
+        tagTotals[tag].count += 1;
+      });
+    });
     
-    try {
-      // Safely process each expense
-      expenses.forEach(expense => {
+    Object.keys(tagTotals).sort().forEach(tag => {
+      expensesByTag.push({
+        tag,
+        count: tagTotals[tag].count,
+        amount: roundCurrency(tagTotals[tag].amount)
+      });
+    });
+  } catch (tagError) {
+    console.error('Error calculating expenses by tag:', tagError);
+  }
+  
+  // Calculate expenses by month - with error handling
+  const expensesByMonth = [];
+  const monthTotals = {};
+  
+  try {
+    // Safely process each expense
+    expenses.forEach(expense => {
+      try {
+        // Safely parse date
+        let date;
         try {
-          // Handle potentially missing or invalid category
-          const category = expense.category || 'other';
-          // Handle potentially invalid amount
-          const amount = parseFloat(expense.amount || 0);
-          
-          if (isNaN(amount)) {
-            console.warn('Invalid expense amount:', expense);
+          date = new Date(expense.date);
+          // Check if date is valid
+          if (isNaN(date.getTime())) {
+            console.warn('Invalid expense date:', expense.date);
             return; // Skip this expense
           }
-          
-          if (!categoryTotals[category]) {
-            categoryTotals[category] = 0;
-          }
-          
-          categoryTotals[category] += amount;
-        } catch (expError) {
-          console.error('Error processing expense for category calculation:', expError, expense);
-          // Continue with next expense
+        } catch (dateError) {
+          console.warn('Error parsing expense date:', expense.date);
+          return; // Skip this expense
+        }
+        
+        // Format month string
+        const month = `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}`;
+        
+        // Handle potentially invalid amount
+        const amount = parseFloat(expense.amount || 0);
+        if (isNaN(amount)) {
+          console.warn('Invalid expense amount:', expense);
+          return; // Skip this expense
         }
+        
+        // Initialize month total if needed
+        if (!monthTotals[month]) {
+          monthTotals[month] = 0;
+        }
+        
+        // Add to month total
+        monthTotals[month] += amount;
+      } catch (expError) {
+        console.error('Error processing expense for month calculation:', expError, expense);
+        // Continue with next expense
+      }
+    });
+    
+    // Convert totals to array format
+    Object.keys(monthTotals).forEach(month => {
+      expensesByMonth.push({
+        month,
+        amount: roundCurrency(monthTotals[month])
       });
+    });
+    
+    console.log(`Processed ${expensesByMonth.length} months`);
+  } catch (monthError) {
+    console.error('Error calculating expenses by month:', monthError);
+    // Return empty array if calculation fails completely
+  }
+  
+  // Calculate budget comparison per budget period window - with robust error handling
+  // Each budget is compared against every calendar window of its period
+  // (ISO week, calendar month, quarter or year) that overlaps the report range.
+  const budgetComparison = [];
+  
+  try {
+    const budgetWindows = new Map();
+    let windowStart = formatDateOnly(parseDateOnly(startDate));
+    let windowEnd = formatDateOnly(parseDateOnly(endDate));
+    
+    budgets.forEach(budget => {
+      const period = BUDGET_PERIODS.includes(budget.period) ? budget.period : 'monthly';
+      const windows = getPeriodWindows(period, startDate, endDate);
+      budgetWindows.set(budget.id, { period, windows });
       
-      // Convert totals to array format
-      Object.keys(categoryTotals).forEach(category => {
-        expensesByCategory.push({
-          category,
-          amount: categoryTotals[category]
-        });
+      if (windows.length > 0) {
+        windowStart = windows[0].start < windowStart ? windows[0].start : windowStart;
+        windowEnd = windows[windows.length - 1].end > windowEnd ? windows[windows.length - 1].end : windowEnd;
+      }
+    });
+    
+    // Windows are whole periods, so the first and last may reach past the
+    // requested range. Load those extra days so every window is complete.
+    let windowExpenses = [];
+    if (budgets.length > 0) {
+      windowExpenses = await Expense.findAll({
+        where: {
+          ...expenseWhere,
+          date: {
+            [Op.between]: [windowStart, windowEnd]
+          }
+        },
+        attributes: ['amount', 'currency', 'category', 'category_id', 'date'],
+        raw: true
       });
-      
-      console.log(`Processed ${expensesByCategory.length} categories`);
-    } catch (categoryError) {
-      console.error('Error calculating expenses by category:', categoryError);
-      // Return empty array if calculation fails completely
     }
     
-    // Calculate expenses by month - with error handling
-    const expensesByMonth = [];
-    const monthTotals = {};
+    const normalizedExpenses = windowExpenses
+      .map(expense => ({
+        category: expense.category,
+        categoryId: expense.category_id,
+        date: formatDateOnly(parseDateOnly(expense.date)),
+        amount: converter.convert(expense.amount || 0, expense.currency, expense.date)
+      }))
+      .filter(expense => expense.amount !== null && !isNaN(expense.amount));
     
-    try {
-      // Safely process each expense
-      expenses.forEach(expense => {
-        try {
-          // Safely parse date
-          let date;
-          try {
-            date = new Date(expense.date);
-            // Check if date is valid
-            if (isNaN(date.getTime())) {
-              console.warn('Invalid expense date:', expense.date);
-              return; // Skip this expense
-            }
-          } catch (dateError) {
-            console.warn('Error parsing expense date:', expense.date);
-            return; // Skip this expense
-          }
-          
-          // Format month string
-          const month = `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}`;
-          
-          // Handle potentially invalid amount
-          const amount = parseFloat(expense.amount || 0);
-          if (isNaN(amount)) {
-            console.warn('Invalid expense amount:', expense);
-            return; // Skip this expense
-          }
-          
-          // Initialize month total if needed
-          if (!monthTotals[month]) {
-            monthTotals[month] = 0;
-          }
-          
-          // Add to month total
-          monthTotals[month] += amount;
-        } catch (expError) {
-          console.error('Error processing expense for month calculation:', expError, expense);
-          // Continue with next expense
+    // Process each budget safely
+    for (const budget of budgets) {
+      try {
+        // Validate budget data
+        if (!budget || !budget.category) {
+          console.warn('Invalid budget data:', budget);
+          continue; // Skip this budget
         }
-      });
-      
-      // Convert totals to array format
-      Object.keys(monthTotals).forEach(month => {
-        expensesByMonth.push({
-          month,
-          amount: monthTotals[month]
+        
+        const category = budget.category;
+        // Budgets and expenses linked to a category match on it, and a
+        // budget on a parent category counts spending in all of its
+        // subcategories. Older rows without a category fall back to the name.
+        const budgetCategoryIds = budget.categoryId ? tree.descendantIds(budget.categoryId) : null;
+        const matchesBudget = (expense) => (budgetCategoryIds && expense.categoryId
+          ? budgetCategoryIds.has(expense.categoryId)
+          : expense.category === category);
+        const budgetAmount = isNaN(parseFloat(budget.amount)) ? 0 : parseFloat(budget.amount);
+        const { period, windows } = budgetWindows.get(budget.id);
+        
+        const periods = windows.map(window => {
+          // Budgets in another currency use the rate at the window start
+          const windowBudget = converter.convert(budgetAmount, budget.currency, window.start);
+          const actual = normalizedExpenses
+            .filter(expense =>
+              matchesBudget(expense) &&
+              expense.date >= window.start &&
+              expense.date <= window.end
+            )
+            .reduce((sum, expense) => sum + expense.amount, 0);
+          
+          return {
+            label: window.label,
+            start: window.start,
+            end: window.end,
+            budget: windowBudget,
+            actual: roundCurrency(actual),
+            variance: windowBudget === null ? null : roundCurrency(windowBudget - actual)
+          };
         });
-      });
-      
-      console.log(`Processed ${expensesByMonth.length} months`);
-    } catch (monthError) {
-      console.error('Error calculating expenses by month:', monthError);
-      // Return empty array if calculation fails completely
+        
+        const totalBudget = roundCurrency(periods.reduce((sum, window) => sum + (window.budget || 0), 0));
+        const totalActual = roundCurrency(periods.reduce((sum, window) => sum + window.actual, 0));
+        
+        // Add to comparison array
+        budgetComparison.push({
+          budgetId: budget.id,
+          name: budget.name,
+          category,
+          period,
+          currency: budget.currency || homeCurrency,
+          originalAmount: budgetAmount,
+          budget: totalBudget,
+          actual: totalActual,
+          difference: roundCurrency(totalBudget - totalActual),
+          periods
+        });
+      } catch (budgetError) {
+        console.error('Error processing budget for comparison:', budgetError, budget);
+        // Continue with next budget
+      }
     }
     
-    // Calculate budget comparison - with robust error handling
-    const budgetComparison = [];
-    
-    try {
-      // Process each budget safely
-      for (const budget of budgets) {
-        try {
-          // Validate budget data
-          if (!budget || !budget.category) {
-            console.warn('Invalid budget data:', budget);
-            continue; // Skip this budget
-          }
-          
-          const category = budget.category;
-          
-          // Parse budget amount safely
-          let budgetAmount;
-          try {
-            budgetAmount = parseFloat(budget.amount);
-            if (isNaN(budgetAmount)) {
-              console.warn('Invalid budget amount:', budget.amount);
-              budgetAmount = 0;
-            }
-          } catch (parseError) {
-            console.error('Error parsing budget amount:', parseError);
-            budgetAmount = 0;
-          }
-          
-          // Get actual amount spent in this category
-          const actualAmount = categoryTotals[category] || 0;
-          
-          // Adjust budget amount based on period and date range
-          let adjustedBudgetAmount = budgetAmount;
-          try {
-            // Default to monthly if period is missing or invalid
-            const period = budget.period || 'monthly';
-            
-            if (period === 'monthly') {
-              // Calculate number of months in the date range - safer calculation
-              let months = 0;
-              
-              // Clone dates to avoid modifying the original dates
-              const startDate = new Date(start);
-              const endDate = new Date(end);
-              
-              // Set both dates to the 1st of their respective months to simplify calculation
-              startDate.setDate(1);
-              endDate.setDate(1);
-              
-              // Count months
-              months = (endDate.getFullYear() - startDate.getFullYear()) * 12 + 
-                      (endDate.getMonth() - startDate.getMonth()) + 1;
-                      
-              // Ensure at least 1 month
-              months = Math.max(1, months);
-              
-              adjustedBudgetAmount = budgetAmount * months;
-              console.log(`Calculated ${months} months for budget period`);
-            } else if (period === 'weekly') {
-              // Calculate number of weeks in the date range - safer calculation
-              const diffTime = Math.max(0, end.getTime() - start.getTime());
-              const days = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-              const weeks = Math.max(1, Math.ceil(days / 7));
-              adjustedBudgetAmount = budgetAmount * weeks;
-              console.log(`Calculated ${weeks} weeks for budget period`);
-            } else if (period === 'quarterly') {
-              // Calculate number of quarters (3-month periods)
-              const startDate = new Date(start);
-              const endDate = new Date(end);
-              startDate.setDate(1);
-              endDate.setDate(1);
-              
-              const monthDiff = (endDate.getFullYear() - startDate.getFullYear()) * 12 + 
-                             (endDate.getMonth() - startDate.getMonth()) + 1;
-              const quarters = Math.max(1, Math.ceil(monthDiff / 3));
-              adjustedBudgetAmount = budgetAmount * quarters;
-              console.log(`Calculated ${quarters} quarters for budget period`);
-            } else if (period === 'yearly') {
-              // Calculate number of years
-              const yearDiff = end.getFullYear() - start.getFullYear();
-              const years = Math.max(1, yearDiff + (end.getMonth() > start.getMonth() || 
-                                                (end.getMonth() === start.getMonth() && end.getDate() >= start.getDate()) ? 1 : 0));
-              adjustedBudgetAmount = budgetAmount * years;
-              console.log(`Calculated ${years} years for budget period`);
-            } else {
-              console.warn(`Unknown budget period: ${period}, using original amount`);
-            }
-          } catch (periodError) {
-            console.error('Error calculating adjusted budget amount:', periodError);
-            // Fallback to the original budget amount if calculation fails
-            adjustedBudgetAmount = budgetAmount;
-          }
-          
-          // Calculate difference safely
-          const difference = adjustedBudgetAmount - actualAmount;
-          
-          // Add to comparison array
-          budgetComparison.push({
-            category,
-            budget: adjustedBudgetAmount,
-            actual: actualAmount,
-            difference
-          });
-        } catch (budgetError) {
-          console.error('Error processing budget for comparison:', budgetError, budget);
-          // Continue with next budget
+    console.log(`Processed ${budgetComparison.length} budget comparisons`);
+  } catch (comparisonError) {
+    console.error('Error calculating budget comparison:', comparisonError);
+    // Leave as empty array if calculation fails completely
+  }
+  
+  // Calculate income, net cash flow and savings rate - with error handling
+  // Income has no categories, so the category filter does not apply to it.
+  let totalIncome = 0;
+  const incomeBySource = [];
+  const incomeMonthTotals = {};
+  
+  try {
+    const incomes = await Income.findAll({
+      where: {
+        userId,
+        date: {
+          [Op.between]: [start, end]
         }
+      },
+      attributes: ['amount', 'currency', 'source', 'date'],
+      raw: true
+    });
+    
+    const sourceTotals = {};
+    incomes.forEach(income => {
+      const amount = converter.convert(income.amount || 0, income.currency, income.date);
+      if (amount === null || isNaN(amount)) {
+        console.warn('Invalid income amount:', income);
+        return; // Skip this income
       }
       
-      console.log(`Processed ${budgetComparison.length} budget comparisons`);
-    } catch (comparisonError) {
-      console.error('Error calculating budget comparison:', comparisonError);
-      // Leave as empty array if calculation fails completely
+      const source = income.source || 'other';
+      const month = formatDateOnly(parseDateOnly(income.date)).slice(0, 7);
+      
+      totalIncome += amount;
+      sourceTotals[source] = (sourceTotals[source] || 0) + amount;
+      incomeMonthTotals[month] = (incomeMonthTotals[month] || 0) + amount;
+    });
+    
+    Object.keys(sourceTotals).forEach(source => {
+      incomeBySource.push({
+        source,
+        amount: roundCurrency(sourceTotals[source])
+      });
+    });
+    
+    console.log(`Processed ${incomes.length} income entries`);
+  } catch (incomeError) {
+    console.error('Error calculating income:', incomeError);
+  }
+  
+  totalIncome = roundCurrency(totalIncome);
+  const netCashFlow = roundCurrency(totalIncome - totalExpenses);
+  // Percentage of income left after spending; undefined without income
+  const savingsRate = totalIncome > 0 ? roundCurrency((netCashFlow / totalIncome) * 100) : null;
+  
+  const cashFlowByMonth = [...new Set([...Object.keys(monthTotals), ...Object.keys(incomeMonthTotals)])]
+    .sort()
+    .map(month => {
+      const income = roundCurrency(incomeMonthTotals[month] || 0);
+      const expenses = roundCurrency(monthTotals[month] || 0);
+      return {
+        month,
+        income,
+        expenses,
+        net: roundCurrency(income - expenses)
+      };
+    });
+  
+  return {
+    homeCurrency,
+    totalExpenses,
+    expensesByCurrency,
+    expensesByCategory,
+    categoryTree,
+    expensesByTag,
+    expensesByMonth,
+    budgetComparison,
+    totalIncome,
+    incomeBySource,
+    netCashFlow,
+    savingsRate,
+    cashFlowByMonth,
+    missingRates: converter.missing
+  };
+};
+
+// @route   GET /api/reports
+// @desc    Get expense reports for a user
+//          Query: startDate, endDate, category / categoryId (optional, repeatable),
+//          level (roll expensesByCategory up to this depth of the category tree)
+// @access  Private (token scope: reports:read)
+router.get('/', [auth.scope('reports:read'), ...reportRangeValidators], validate, async (req, res) => {
+  try {
+    const rangeError = validateReportRange(req.query);
+    if (rangeError) {
+      return res.status(400).json({
+        success: false,
+        message: rangeError
+      });
     }
     
+    // Debug info
+    console.log('Report request:', {
+      userId: req.user.id,
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+      category: req.query.category
+    });
+    
+    const report = await buildReport(req.user, req.query);
+    
     // Return the report data
     res.json({
       success: true,
-      data: {
-        totalExpenses,
-        expensesByCategory,
-        expensesByMonth,
-        budgetComparison
-      }
+      data: report
     });
   } catch (err) {
     console.error('Error generating report:', err);
@@ -349,4 +615,173 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/reports/export
+// @desc    Download the report as csv, json or xlsx
+//          Query: format, startDate, endDate, category (same filters as GET /api/reports)
+// @access  Private (token scope: reports:read)
+router.get(
+  '/export',
+  [
+    auth.scope('reports:read'),
+    ...reportRangeValidators,
+    query('format', `format must be one of: ${EXPORT_FORMATS.join(', ')}`).optional().isIn(EXPORT_FORMATS)
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const rangeError = validateReportRange(req.query);
+      if (rangeError) {
+        return res.status(400).json({
+          success: false,
+          message: rangeError
+        });
+      }
+      
+      const format = req.query.format || 'csv';
+      const { startDate, endDate } = req.query;
+      const report = await buildReport(req.user, req.query);
+      
+      // One row per budget period window
+      const budgetRows = [];
+      report.budgetComparison.forEach(comparison => {
+        comparison.periods.forEach(window => {
+          budgetRows.push({
+            name: comparison.name,
+            category: comparison.category,
+            period: comparison.period,
+            currency: comparison.currency,
+            ...window
+          });
+        });
+      });
+      
+      // Category tree flattened depth-first, with the full path as the label
+      const treeRows = [];
+      const addTreeRows = (nodes, path) => nodes.forEach(node => {
+        const label = [...path, node.name];
+        treeRows.push({ path: label.join(' > '), depth: node.depth, amount: node.amount, total: node.total });
+        addTreeRows(node.children, label);
+      });
+      addTreeRows(report.categoryTree, []);
+      
+      await sendExport(res, {
+        format,
+        filename: `report-${startDate}-to-${endDate}`,
+        json: {
+          startDate,
+          endDate,
+          category: parseList(req.query.category),
+          ...report
+        },
+        sheets: [
+          {
+            name: 'Summary',
+            columns: [
+              { header: 'Start date', key: 'startDate' },
+              { header: 'End date', key: 'endDate' },
+              { header: 'Currency', key: 'homeCurrency' },
+              { header: 'Total expenses', key: 'totalExpenses' },
+              { header: 'Total income', key: 'totalIncome' },
+              { header: 'Net cash flow', key: 'netCashFlow' },
+              { header: 'Savings rate (%)', key: 'savingsRate' }
+            ],
+            rows: [{
+              startDate,
+              endDate,
+              homeCurrency: report.homeCurrency,
+              totalExpenses: report.totalExpenses,
+              totalIncome: report.totalIncome,
+              netCashFlow: report.netCashFlow,
+              savingsRate: report.savingsRate
+            }]
+          },
+          {
+            name: 'By category',
+            columns: [
+              { header: 'Category', key: 'category' },
+              { header: 'Amount', key: 'amount' }
+            ],
+            rows: report.expensesByCategory
+          },
+          {
+            name: 'Category tree',
+            columns: [
+              { header: 'Category', key: 'path', width: 40 },
+              { header: 'Depth', key: 'depth' },
+              { header: 'Own amount', key: 'amount' },
+              { header: 'Total incl. subcategories', key: 'total', width: 24 }
+            ],
+            rows: treeRows
+          },
+          {
+            name: 'By tag',
+            columns: [
+              { header: 'Tag', key: 'tag' },
+              { header: 'Expenses', key: 'count' },
+              { header: 'Amount', key: 'amount' }
+            ],
+            rows: report.expensesByTag
+          },
+          {
+            name: 'By currency',
+            columns: [
+              { header: 'Currency', key: 'currency' },
+              { header: 'Original amount', key: 'originalAmount' },
+              { header: `Amount (${report.homeCurrency})`, key: 'amount' }
+            ],
+            rows: report.expensesByCurrency
+          },
+          {
+            name: 'By month',
+            columns: [
+              { header: 'Month', key: 'month' },
+              { header: 'Income', key: 'income' },
+              { header: 'Expenses', key: 'expenses' },
+              { header: 'Net', key: 'net' }
+            ],
+            rows: report.cashFlowByMonth
+          },
+          {
+            name: 'Income by source',
+            columns: [
+              { header: 'Source', key: 'source' },
+              { header: 'Amount', key: 'amount' }
+            ],
+            rows: report.incomeBySource
+          },
+          {
+            name: 'Budget comparison',
+            columns: [
+              { header: 'Budget', key: 'name' },
+              { header: 'Category', key: 'category' },
+              { header: 'Period', key: 'period' },
+              { header: 'Budget currency', key: 'currency' },
+              { header: 'Window', key: 'label' },
+              { header: 'Start', key: 'start' },
+              { header: 'End', key: 'end' },
+              { header: 'Budget amount', key: 'budget' },
+              { header: 'Actual', key: 'actual' },
+              { header: 'Variance', key: 'variance' }
+            ],
+            rows: budgetRows
+          }
+        ]
+      });
+    } catch (err) {
+      console.error('Error exporting report:', err);
+      
+      // The download may already be under way
+      if (res.headersSent) {
+        return res.end();
+      }
+      
+      res.status(500).json({
+        success: false,
+        message: 'Server error exporting report',
+        error: process.env.NODE_ENV === 'development' ? err.message : undefined
+      });
+    }
+  }
+);
+
 module.exports = router;
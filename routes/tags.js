@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const { Tag, sequelize } = require('../models');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { normalizeTagName } = require('../utils/tags');
+
+const findTag = (req) => Tag.findOne({
+  where: {
+    id: req.params.id,
+    userId: req.user.id
+  }
+});
+
+// @route   GET /api/tags
+// @desc    Get the user's tags with the number of expenses using each
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const tags = await Tag.findAll({
+      where: { userId: req.user.id },
+      attributes: {
+        include: [[
+          sequelize.literal('(SELECT COUNT(*) FROM expense_tags WHERE expense_tags.tag_id = `Tag`.`id`)'),
+          'expenseCount'
+        ]]
+      },
+      order: [['name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      count: tags.length,
+      data: tags
+    });
+  } catch (err) {
+    console.error('Error fetching tags:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/tags/:id
+// @desc    Rename a tag
+// @access  Private
+router.put(
+  '/:id',
+  [
+    auth,
+    check('name')
+      .customSanitizer(normalizeTagName)
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Name is required (up to 50 characters)')
+      .not().contains(',')
+      .withMessage('Tag names cannot contain commas')
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const tag = await findTag(req);
+
+      if (!tag) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tag not found'
+        });
+      }
+
+      await tag.update({ name: req.body.name });
+
+      res.json({
+        success: true,
+        data: tag
+      });
+    } catch (err) {
+      console.error('Error renaming tag:', err);
+
+      if (err.name === 'SequelizeUniqueConstraintError') {
+        return res.status(409).json({
+          success: false,
+          message: 'A tag with this name already exists'
+        });
+      }
+
+      if (err.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: err.errors.map(e => e.message)
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/tags/:id
+// @desc    Delete a tag and remove it from all expenses
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const tag = await findTag(req);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    await tag.destroy();
+
+    res.json({
+      success: true,
+      message: 'Tag deleted'
+    });
+  } catch (err) {
+    console.error('Error deleting tag:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
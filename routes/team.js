@@ -0,0 +1,446 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { check } = require('express-validator');
+const { Op } = require('sequelize');
+const { TeamMember, User } = require('../models');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { resolveWorkspace } = require('../utils/workspace');
+const { notify } = require('../utils/notifications');
+const { sendMail } = require('../utils/mailer');
+
+// Invitations stay valid for 7 days
+const INVITE_EXPIRY_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Roles that can be handed out through invites and role changes.
+// The owner role is implicit: it belongs to the user who owns the workspace.
+const ASSIGNABLE_ROLES = ['admin', 'member', 'viewer'];
+
+const generateInviteToken = () => crypto.randomBytes(32).toString('hex');
+
+// Tell the invitee about the invite. Existing users get a notification (in
+// the app and/or by email, per their preferences); anyone else is emailed.
+// Delivery problems are logged and never fail the invite itself.
+const sendInvite = async (member, inviter) => {
+  const title = `${inviter.name} invited you to their workspace`;
+  const message = `${inviter.name} (${inviter.email}) invited you to join their workspace as ${member.role}. ` +
+    `Accept with this token before ${member.inviteExpires.toISOString()}: ${member.inviteToken}`;
+
+  try {
+    const invitee = await User.findOne({ where: { email: member.email } });
+
+    if (invitee) {
+      await notify(invitee, {
+        type: 'team_invite',
+        title,
+        message,
+        data: {
+          teamMemberId: member.id,
+          invitedBy: { id: inviter.id, name: inviter.name },
+          role: member.role,
+          token: member.inviteToken,
+          expires: member.inviteExpires
+        }
+      });
+    } else {
+      await sendMail({ to: member.email, subject: title, text: message });
+    }
+  } catch (err) {
+    console.error(`Error sending team invite ${member.id}:`, err.message);
+  }
+};
+
+const isInviteExpired = (member) =>
+  !member.inviteExpires || new Date(member.inviteExpires).getTime() < Date.now();
+
+const canManage = (role) => role === 'owner' || role === 'admin';
+
+// Strip the invite token unless the caller is allowed to manage invites
+const serializeMember = (member, includeToken) => {
+  const data = member.get({ plain: true });
+  if (!includeToken) {
+    delete data.inviteToken;
+  }
+  data.expired = data.status === 'pending' && isInviteExpired(member);
+  return data;
+};
+
+// @route   GET /api/team
+// @desc    List members of the current user's workspace
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const workspace = await resolveWorkspace(req.user);
+
+    const members = await TeamMember.findAll({
+      where: { ownerId: workspace.ownerId },
+      include: [
+        { model: User, as: 'user', attributes: ['id', 'name', 'username', 'email'] },
+        { model: User, as: 'invitedBy', attributes: ['id', 'name', 'email'] }
+      ],
+      order: [['createdAt', 'ASC']]
+    });
+
+    const owner = await User.findByPk(workspace.ownerId, {
+      attributes: ['id', 'name', 'username', 'email']
+    });
+
+    res.json({
+      success: true,
+      data: {
+        owner,
+        role: workspace.role,
+        members: members.map(member => serializeMember(member, canManage(workspace.role)))
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching team members:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/team/invite
+// @desc    Invite someone to the current user's workspace
+// @access  Private (owner, admin)
+router.post(
+  '/invite',
+  [
+    auth,
+    check('email', 'Please include a valid email').isEmail().normalizeEmail(),
+    check('name', 'Name is required').trim().notEmpty(),
+    check('role', `Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`)
+      .optional()
+      .isIn(ASSIGNABLE_ROLES)
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { email, name, role } = req.body;
+      const workspace = await resolveWorkspace(req.user);
+
+      if (!canManage(workspace.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only workspace owners and admins can invite members'
+        });
+      }
+
+      // Admins may not mint other admins
+      if (role === 'admin' && workspace.role !== 'owner') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the workspace owner can invite admins'
+        });
+      }
+
+      if (email === req.user.email) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot invite yourself'
+        });
+      }
+
+      const inviteToken = generateInviteToken();
+      const inviteExpires = new Date(Date.now() + INVITE_EXPIRY_MS);
+
+      let member = await TeamMember.findOne({ where: { email } });
+
+      // An email has one membership row across all workspaces. Another
+      // workspace's invite that expired unanswered no longer holds it.
+      if (member && member.ownerId !== workspace.ownerId && member.status === 'pending' &&
+        (!member.inviteExpires || member.inviteExpires < new Date())) {
+        await member.destroy();
+        member = null;
+      }
+
+      if (member) {
+        // Re-sending an invite for the same workspace refreshes the token
+        if (member.ownerId !== workspace.ownerId || member.status === 'active') {
+          return res.status(400).json({
+            success: false,
+            message: member.ownerId === workspace.ownerId
+              ? 'This person is already a member of the workspace'
+              : 'This email already belongs to another team'
+          });
+        }
+
+        await member.update({
+          name,
+          role: role || member.role,
+          invitedById: req.user.id,
+          inviteToken,
+          inviteExpires
+        });
+      } else {
+        member = await TeamMember.create({
+          name,
+          email,
+          role: role || 'member',
+          status: 'pending',
+          ownerId: workspace.ownerId,
+          invitedById: req.user.id,
+          inviteToken,
+          inviteExpires
+        });
+      }
+
+      await sendInvite(member, req.user);
+
+      console.log(`Team invite ${member.id} sent by user ${req.user.id}`);
+
+      res.status(201).json({
+        success: true,
+        data: serializeMember(member, true)
+      });
+    } catch (err) {
+      console.error('Error inviting team member:', err);
+
+      if (err.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: err.errors.map(e => e.message)
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/team/accept
+// @desc    Accept an invitation using its token
+// @access  Private
+router.post(
+  '/accept',
+  [
+    auth,
+    check('token', 'Invite token is required').trim().notEmpty()
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const member = await TeamMember.findOne({
+        where: {
+          inviteToken: req.body.token,
+          status: 'pending'
+        }
+      });
+
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found'
+        });
+      }
+
+      if (isInviteExpired(member)) {
+        return res.status(410).json({
+          success: false,
+          message: 'Invitation has expired. Ask the workspace owner to send a new one.'
+        });
+      }
+
+      if (member.email.toLowerCase() !== req.user.email.toLowerCase()) {
+        return res.status(403).json({
+          success: false,
+          message: 'This invitation was sent to a different email address'
+        });
+      }
+
+      if (member.ownerId === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'You already own this workspace'
+        });
+      }
+
+      // Joining elsewhere would strand the members of the caller's own workspace
+      const ownMembers = await TeamMember.count({
+        where: { ownerId: req.user.id, status: 'active' }
+      });
+      if (ownMembers > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Remove the members of your own workspace before joining another one'
+        });
+      }
+
+      await member.update({
+        userId: req.user.id,
+        status: 'active',
+        inviteToken: null,
+        inviteExpires: null
+      });
+
+      console.log(`User ${req.user.id} joined workspace ${member.ownerId}`);
+
+      res.json({
+        success: true,
+        data: serializeMember(member, false)
+      });
+    } catch (err) {
+      console.error('Error accepting team invite:', err);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   PUT /api/team/:id/role
+// @desc    Change a member's role
+// @access  Private (owner, admin)
+router.put(
+  '/:id/role',
+  [
+    auth,
+    check('role', `Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`).isIn(ASSIGNABLE_ROLES)
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { role } = req.body;
+      const workspace = await resolveWorkspace(req.user);
+
+      if (!canManage(workspace.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only workspace owners and admins can change roles'
+        });
+      }
+
+      const member = await TeamMember.findOne({
+        where: {
+          id: req.params.id,
+          ownerId: workspace.ownerId
+        }
+      });
+
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Team member not found'
+        });
+      }
+
+      // Admins can only shuffle members and viewers
+      if (workspace.role !== 'owner' && (member.role === 'admin' || role === 'admin')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the workspace owner can grant or change the admin role'
+        });
+      }
+
+      await member.update({ role });
+
+      res.json({
+        success: true,
+        data: serializeMember(member, true)
+      });
+    } catch (err) {
+      console.error('Error updating team member role:', err);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/team/leave
+// @desc    Leave the workspace the current user has joined
+// @access  Private
+router.post('/leave', auth, async (req, res) => {
+  try {
+    const workspace = await resolveWorkspace(req.user);
+
+    if (!workspace.membership) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are not a member of another workspace'
+      });
+    }
+
+    await workspace.membership.destroy();
+
+    console.log(`User ${req.user.id} left workspace ${workspace.ownerId}`);
+
+    res.json({
+      success: true,
+      message: 'You have left the workspace'
+    });
+  } catch (err) {
+    console.error('Error leaving team:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/team/:id
+// @desc    Revoke a pending invite or remove a member
+// @access  Private (owner, admin)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const workspace = await resolveWorkspace(req.user);
+
+    if (!canManage(workspace.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only workspace owners and admins can remove members'
+      });
+    }
+
+    const member = await TeamMember.findOne({
+      where: {
+        id: req.params.id,
+        ownerId: workspace.ownerId,
+        [Op.or]: [
+          { userId: null },
+          { userId: { [Op.ne]: req.user.id } }
+        ]
+      }
+    });
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team member not found'
+      });
+    }
+
+    if (workspace.role !== 'owner' && member.role === 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the workspace owner can remove admins'
+      });
+    }
+
+    await member.destroy();
+
+    console.log(`Team member ${req.params.id} removed by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: member.status === 'pending' ? 'Invitation revoked' : 'Member removed'
+    });
+  } catch (err) {
+    console.error('Error removing team member:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,252 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const { BackupCode, sequelize } = require('../models');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const {
+  isTwoFactorEnabled,
+  startEnrolment,
+  generateBackupCodes,
+  countBackupCodes,
+  verifyTotp,
+  verifySecondFactor
+} = require('../utils/twoFactor');
+
+// Password check for changes that weaken or reset 2FA. The auth middleware
+// leaves the password hash out of req.user, so reload the user. Sends the
+// error response and returns null when the check fails.
+const confirmPassword = async (req, res) => {
+  const user = await User.findByPk(req.user.id);
+
+  // Accounts created through an external login have no password to confirm
+  if (!user.password) {
+    res.status(400).json({
+      success: false,
+      message: 'This account has no password yet. Use "forgot password" to set one.'
+    });
+    return null;
+  }
+
+  if (!(await user.comparePassword(req.body.password))) {
+    res.status(401).json({
+      success: false,
+      message: 'Password is incorrect'
+    });
+    return null;
+  }
+  return user;
+};
+
+// @route   GET /api/auth/2fa
+// @desc    Whether 2FA is on, and how many backup codes are left
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const enabled = isTwoFactorEnabled(req.user);
+
+    res.json({
+      success: true,
+      data: {
+        enabled,
+        enabledAt: req.user.totp_enabled_at,
+        backupCodesRemaining: enabled ? await countBackupCodes(req.user.id) : 0
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching 2FA status:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrolment: returns a new secret as an otpauth:// URI and a QR
+//          code to scan. Nothing changes at login until /enable is called.
+// @access  Private
+router.post('/setup', auth, async (req, res) => {
+  try {
+    if (isTwoFactorEnabled(req.user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled. Disable it first to enrol a new device.'
+      });
+    }
+
+    const { secret, otpauthUrl } = await startEnrolment(req.user);
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl)
+      }
+    });
+  } catch (err) {
+    console.error('Error starting 2FA enrolment:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Finish enrolment with a code from the authenticator app. Returns
+//          the backup codes; they are not shown again.
+// @access  Private
+router.post(
+  '/enable',
+  [
+    auth,
+    check('code', 'Code must be the 6-digit code from your authenticator app').trim().matches(/^\d{6}$/)
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      if (isTwoFactorEnabled(req.user)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      if (!req.user.totp_secret) {
+        return res.status(400).json({
+          success: false,
+          message: 'Start enrolment with POST /api/auth/2fa/setup first'
+        });
+      }
+
+      if (!(await verifyTotp(req.user, req.body.code))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid authentication code'
+        });
+      }
+
+      const backupCodes = await sequelize.transaction(async (transaction) => {
+        await User.update(
+          { totp_enabled_at: new Date() },
+          { where: { id: req.user.id }, transaction }
+        );
+        return generateBackupCodes(req.user.id, transaction);
+      });
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled',
+        data: { backupCodes }
+      });
+    } catch (err) {
+      console.error('Error enabling 2FA:', err);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace the backup codes (requires the password)
+// @access  Private
+router.post(
+  '/backup-codes',
+  [
+    auth,
+    check('password', 'Password is required').notEmpty()
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      if (!isTwoFactorEnabled(req.user)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      if (!(await confirmPassword(req, res))) {
+        return;
+      }
+
+      const backupCodes = await sequelize.transaction(transaction =>
+        generateBackupCodes(req.user.id, transaction)
+      );
+
+      res.json({
+        success: true,
+        data: { backupCodes }
+      });
+    } catch (err) {
+      console.error('Error regenerating backup codes:', err);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn 2FA off. Requires the password and a current authenticator
+//          or backup code, so a hijacked session alone cannot do it.
+// @access  Private
+router.post(
+  '/disable',
+  [
+    auth,
+    check('password', 'Password is required').notEmpty(),
+    check('code', 'An authenticator or backup code is required').trim().notEmpty()
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      if (!isTwoFactorEnabled(req.user)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      const user = await confirmPassword(req, res);
+      if (!user) {
+        return;
+      }
+
+      if (!(await verifySecondFactor(user, req.body.code))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid authentication code'
+        });
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        await User.update(
+          { totp_secret: null, totp_enabled_at: null, totp_last_step: null },
+          { where: { id: user.id }, transaction }
+        );
+        await BackupCode.destroy({ where: { userId: user.id }, transaction });
+      });
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (err) {
+      console.error('Error disabling 2FA:', err);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+module.exports = router;
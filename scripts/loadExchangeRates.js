@@ -0,0 +1,32 @@
+const fs = require('fs');
+const { sequelize } = require('../models');
+const { parseCsv } = require('../utils/csv');
+const { importExchangeRates } = require('../utils/currency');
+
+// Usage: node scripts/loadExchangeRates.js rates.csv
+// CSV header: date,base,quote,rate  (1 base = rate quote, effective from date)
+async function loadExchangeRates(file) {
+  try {
+    const rows = parseCsv(fs.readFileSync(file, 'utf8'));
+    const { imported, errors } = await importExchangeRates(rows);
+
+    errors.forEach(error => console.error(`Line ${error.line}: ${error.message}`));
+    console.log(`Loaded ${imported} exchange rate(s) from ${file}.`);
+  } catch (error) {
+    console.error('Error loading exchange rates:', error);
+    process.exitCode = 1;
+  } finally {
+    // Close the database connection
+    await sequelize.close();
+  }
+}
+
+// Get the CSV path from command line arguments
+const file = process.argv[2];
+if (!file) {
+  console.error('Please provide the path to a rates CSV file as an argument');
+  process.exit(1);
+}
+
+// Run the function
+loadExchangeRates(file);
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+
+// A minimal OpenID Connect issuer for trying provider logins locally.
+// Usage: node scripts/mockOidcIssuer.js
+// Then start the API with:
+//   OIDC_PROVIDERS=mock
+//   OIDC_MOCK_ISSUER=http://localhost:9400
+//   OIDC_MOCK_CLIENT_ID=expense-tracker
+//   OIDC_MOCK_CLIENT_SECRET=mock-secret
+// /authorize signs in straight away as MOCK_OIDC_EMAIL, or as the address
+// passed in login_hint, and redirects back with a code.
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT || '9400', 10);
+const ISSUER = (process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'expense-tracker';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'mock-secret';
+const DEFAULT_EMAIL = process.env.MOCK_OIDC_EMAIL || 'student@example.edu';
+const EMAIL_VERIFIED = process.env.MOCK_OIDC_EMAIL_VERIFIED !== 'false';
+const CODE_TTL_MS = 60 * 1000;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// Outstanding authorization codes and access tokens, in memory only
+const codes = new Map();
+const accessTokens = new Map();
+
+// A stable subject per email, so repeat logins match the same identity
+const subjectFor = (email) => crypto.createHash('sha256').update(email).digest('hex').slice(0, 24);
+
+const claimsFor = (email) => ({
+  sub: subjectFor(email),
+  email,
+  email_verified: EMAIL_VERIFIED,
+  name: email.split('@')[0]
+});
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readForm = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => resolve(new URLSearchParams(body)));
+  req.on('error', reject);
+});
+
+const routes = {
+  'GET /.well-known/openid-configuration': (req, res) => sendJson(res, 200, {
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256']
+  }),
+
+  'GET /jwks': (req, res) => sendJson(res, 200, {
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }]
+  }),
+
+  'GET /authorize': (req, res, url) => {
+    const params = url.searchParams;
+    if (params.get('client_id') !== CLIENT_ID || !params.get('redirect_uri')) {
+      return sendJson(res, 400, { error: 'invalid_request', error_description: 'Unknown client or missing redirect_uri' });
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      email: (params.get('login_hint') || DEFAULT_EMAIL).toLowerCase(),
+      redirectUri: params.get('redirect_uri'),
+      nonce: params.get('nonce'),
+      codeChallenge: params.get('code_challenge'),
+      expiresAt: Date.now() + CODE_TTL_MS
+    });
+
+    const redirect = new URL(params.get('redirect_uri'));
+    redirect.searchParams.set('code', code);
+    redirect.searchParams.set('state', params.get('state') || '');
+    res.writeHead(302, { Location: redirect.toString() });
+    res.end();
+  },
+
+  'POST /token': async (req, res) => {
+    const form = await readForm(req);
+    const grant = codes.get(form.get('code'));
+    codes.delete(form.get('code'));
+
+    if (form.get('client_id') !== CLIENT_ID || form.get('client_secret') !== CLIENT_SECRET) {
+      return sendJson(res, 401, { error: 'invalid_client' });
+    }
+    if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== form.get('redirect_uri')) {
+      return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Unknown, expired or mismatched code' });
+    }
+    if (grant.codeChallenge) {
+      const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+      if (challenge !== grant.codeChallenge) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+      }
+    }
+
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    accessTokens.set(accessToken, grant.email);
+
+    const idToken = jwt.sign(
+      { ...claimsFor(grant.email), ...(grant.nonce && { nonce: grant.nonce }) },
+      privateKey,
+      { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m' }
+    );
+
+    sendJson(res, 200, {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken
+    });
+  },
+
+  'GET /userinfo': (req, res) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    if (!accessTokens.has(token)) {
+      return sendJson(res, 401, { error: 'invalid_token' });
+    }
+    sendJson(res, 200, claimsFor(accessTokens.get(token)));
+  }
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+  const handler = routes[`${req.method} ${url.pathname}`];
+
+  try {
+    if (!handler) {
+      return sendJson(res, 404, { error: 'not_found' });
+    }
+    await handler(req, res, url);
+  } catch (error) {
+    console.error('Mock issuer error:', error);
+    sendJson(res, 500, { error: 'server_error' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🔑 Mock OIDC issuer running at ${ISSUER}`);
+  console.log(`   client id: ${CLIENT_ID}, client secret: ${CLIENT_SECRET}, default user: ${DEFAULT_EMAIL}`);
+});
@@ -0,0 +1,35 @@
+const { sequelize, User } = require('../models');
+
+// Usage: node scripts/setRole.js user@example.com admin
+// Bootstraps the first admin; after that, admins manage roles through
+// PUT /api/admin/users/:id/role
+async function setRole(email, role) {
+  try {
+    const user = await User.findOne({ where: { email: email.toLowerCase() } });
+
+    if (!user) {
+      console.error('User not found with email:', email);
+      process.exitCode = 1;
+      return;
+    }
+
+    await user.update({ role });
+    console.log(`User ${email} now has the ${role} role.`);
+  } catch (error) {
+    console.error('Error setting role:', error);
+    process.exitCode = 1;
+  } finally {
+    // Close the database connection
+    await sequelize.close();
+  }
+}
+
+// Get email and role from command line arguments
+const [email, role] = process.argv.slice(2);
+if (!email || !['user', 'admin'].includes(role)) {
+  console.error('Please provide an email address and a role (user or admin) as arguments');
+  process.exit(1);
+}
+
+// Run the function
+setRole(email, role);
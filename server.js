@@ -4,6 +4,9 @@ const cors = require('cors');
 const path = require('path');
 const cookieParser = require('cookie-parser');
 const { testConnection, syncDatabase } = require('./config/db');
+const { startRecurringExpenseScheduler } = require('./jobs/recurringExpenses');
+const { startWeeklyDigestScheduler } = require('./jobs/weeklyDigest');
+const { startAccountDeletionScheduler } = require('./jobs/accountDeletion');
 const bcrypt = require('bcryptjs');
 
 const app = express();
@@ -149,7 +152,8 @@ async function createTestUser() {
         username: 'testuser',
         email: 'test@example.com',
         password: hashedPassword,
-        is_active: true
+        is_active: true,
+        email_verified_at: new Date()
       });
       console.log('✅ Test user created');
     } else {
@@ -194,12 +198,78 @@ app.get(['/', '/api'], (req, res) => {
           register: {
             method: 'POST',
             path: '/api/auth/register',
-            description: 'Register a new user'
+            description: 'Register a new user (emails a verification link)'
+          },
+          verifyEmail: {
+            method: 'POST',
+            path: '/api/auth/verify-email',
+            description: 'Verify an email address (resend via /api/auth/resend-verification)'
+          },
+          forgotPassword: {
+            method: 'POST',
+            path: '/api/auth/forgot-password',
+            description: 'Email a password reset link'
+          },
+          resetPassword: {
+            method: 'POST',
+            path: '/api/auth/reset-password',
+            description: 'Set a new password with a reset token'
           },
           login: {
             method: 'POST',
             path: '/api/auth/login',
-            description: 'Login user'
+            description: 'Login user (returns an access token and a refresh token)'
+          },
+          loginTwoFactor: {
+            method: 'POST',
+            path: '/api/auth/login/2fa',
+            description: 'Second login step when 2FA is enabled (challenge token + code)'
+          },
+          twoFactor: {
+            method: 'GET',
+            path: '/api/auth/2fa',
+            description: '2FA status (POST setup, enable, disable, backup-codes)',
+            requiresAuth: true
+          },
+          refreshToken: {
+            method: 'POST',
+            path: '/api/auth/refresh-token',
+            description: 'Exchange a refresh token for a new token pair'
+          },
+          logout: {
+            method: 'POST',
+            path: '/api/auth/logout',
+            description: 'Revoke the current session'
+          },
+          sessions: {
+            method: 'GET',
+            path: '/api/auth/sessions',
+            description: 'List logged-in devices (DELETE /api/auth/sessions/:id to log one out)',
+            requiresAuth: true
+          },
+          oidc: {
+            method: 'POST',
+            path: '/api/auth/oidc/:provider/start',
+            description: 'Log in with Google, GitHub or another configured provider (see /api/auth/oidc/providers)',
+            requiresAuth: false
+          },
+          identities: {
+            method: 'GET',
+            path: '/api/auth/identities',
+            description: 'Linked login providers (POST /api/auth/oidc/:provider/link to add, DELETE /:provider to unlink)',
+            requiresAuth: true
+          },
+          tokens: {
+            method: 'GET',
+            path: '/api/auth/tokens',
+            description: 'Personal access tokens for scripts (POST to create, DELETE /:id to revoke)',
+            requiresAuth: true
+          },
+          changePassword: {
+            method: 'POST',
+            path: '/api/auth/change-password',
+            description: 'Change password and log out other sessions',
+            requiresAuth: true
           },
           me: {
             method: 'GET',
@@ -219,6 +289,78 @@ app.get(['/', '/api'], (req, res) => {
           path: '/api/budgets',
           description: 'Get all budgets',
           requiresAuth: true
+        },
+        team: {
+          method: 'GET',
+          path: '/api/team',
+          description: 'Get workspace members and pending invites',
+          requiresAuth: true
+        },
+        balances: {
+          method: 'GET',
+          path: '/api/balances',
+          description: 'Get who owes whom and suggested settlements',
+          requiresAuth: true
+        },
+        reports: {
+          method: 'GET',
+          path: '/api/reports?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD',
+          description: 'Get spending totals and per-period budget comparison',
+          requiresAuth: true
+        },
+        documents: {
+          method: 'POST',
+          path: '/api/documents/upload',
+          description: 'Upload a document or a receipt for an expense (expenseId)',
+          requiresAuth: true
+        },
+        recurringExpenses: {
+          method: 'GET',
+          path: '/api/recurring-expenses',
+          description: 'Get recurring expense templates (rent, subscriptions, bills)',
+          requiresAuth: true
+        },
+        income: {
+          method: 'GET',
+          path: '/api/income',
+          description: 'Get income (stipends, wages, allowances)',
+          requiresAuth: true
+        },
+        exchangeRates: {
+          method: 'GET',
+          path: '/api/exchange-rates',
+          description: 'Get stored exchange rates used to convert reports',
+          requiresAuth: true
+        },
+        categories: {
+          method: 'GET',
+          path: '/api/categories',
+          description: 'Get expense categories (create, rename, archive, merge)',
+          requiresAuth: true
+        },
+        tags: {
+          method: 'GET',
+          path: '/api/tags',
+          description: 'Get expense tags (tag expenses in bulk via POST /api/expenses/tags)',
+          requiresAuth: true
+        },
+        notifications: {
+          method: 'GET',
+          path: '/api/notifications',
+          description: 'Get notifications such as budget alerts (delivery channels via /api/notifications/preferences)',
+          requiresAuth: true
+        },
+        admin: {
+          method: 'GET',
+          path: '/api/admin/users',
+          description: 'Manage users and view usage stats (/api/admin/stats); admin role only',
+          requiresAuth: true
+        },
+        account: {
+          method: 'GET',
+          path: '/api/account/export',
+          description: 'Download all account data as a zip (DELETE /api/account to delete the account)',
+          requiresAuth: true
         }
       }
     };
@@ -270,13 +412,39 @@ app.get('/api/health', (req, res) => {
 
 // Import route files
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
 const expensesRoutes = require('./routes/expenses');
 const budgetsRoutes = require('./routes/budgets');
+const teamRoutes = require('./routes/team');
+const balancesRoutes = require('./routes/balances');
+const reportsRoutes = require('./routes/reports');
+const documentsRoutes = require('./routes/documents');
+const recurringExpensesRoutes = require('./routes/recurringExpenses');
+const incomeRoutes = require('./routes/income');
+const exchangeRateRoutes = require('./routes/exchangeRates');
+const categoryRoutes = require('./routes/categories');
+const tagRoutes = require('./routes/tags');
+const notificationRoutes = require('./routes/notifications');
+const adminRoutes = require('./routes/admin');
+const accountRoutes = require('./routes/account');
 
 // Use routes
 app.use('/api/auth', authRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/expenses', expensesRoutes);
 app.use('/api/budgets', budgetsRoutes);
+app.use('/api/team', teamRoutes);
+app.use('/api/balances', balancesRoutes);
+app.use('/api/reports', reportsRoutes);
+app.use('/api/documents', documentsRoutes);
+app.use('/api/recurring-expenses', recurringExpensesRoutes);
+app.use('/api/income', incomeRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/account', accountRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -319,6 +487,15 @@ const startServer = async () => {
     console.log('🔄 Syncing database...');
     await syncDatabase();
     
+    // Generate due recurring expenses now and on a timer
+    startRecurringExpenseScheduler();
+
+    // Send last week's spending digest to users who want one
+    startWeeklyDigestScheduler();
+
+    // Remove accounts whose deletion grace period is over
+    startAccountDeletionScheduler();
+    
     // Create test user in development
     if (process.env.NODE_ENV !== 'production') {
       console.log('👤 Creating test user for development...');
@@ -335,10 +512,38 @@ const startServer = async () => {
       console.log(`   GET    /api/health          - Health check endpoint`);
       console.log(`   POST   /api/auth/register   - Register a new user`);
       console.log(`   POST   /api/auth/login      - Login user`);
+      console.log(`   POST   /api/auth/login/2fa  - Finish a 2FA login`);
+      console.log(`   POST   /api/auth/2fa/setup  - Start 2FA enrolment`);
+      console.log(`   POST   /api/auth/refresh-token - Refresh the access token`);
+      console.log(`   POST   /api/auth/logout     - Log out this session`);
+      console.log(`   GET    /api/auth/sessions   - List logged-in devices`);
+      console.log(`   POST   /api/auth/tokens     - Create a personal access token`);
+      console.log(`   POST   /api/auth/oidc/:provider/start - Log in with Google/GitHub`);
+      console.log(`   POST   /api/auth/verify-email - Verify an email address`);
+      console.log(`   POST   /api/auth/forgot-password - Request a password reset`);
+      console.log(`   POST   /api/auth/reset-password  - Reset a password`);
       console.log(`   GET    /api/expenses       - Get all expenses`);
       console.log(`   POST   /api/expenses       - Create a new expense`);
       console.log(`   GET    /api/budgets        - Get all budgets`);
-      console.log(`   POST   /api/budgets        - Create a new budget\n`);
+      console.log(`   POST   /api/budgets        - Create a new budget`);
+      console.log(`   GET    /api/team           - Get workspace members`);
+      console.log(`   POST   /api/team/invite    - Invite a workspace member`);
+      console.log(`   GET    /api/balances       - Get balances and settle-up suggestions`);
+      console.log(`   GET    /api/reports        - Get expense reports`);
+      console.log(`   POST   /api/documents/upload - Upload a document or receipt`);
+      console.log(`   GET    /api/recurring-expenses - Get recurring expense templates`);
+      console.log(`   GET    /api/income         - Get income`);
+      console.log(`   POST   /api/income         - Record income`);
+      console.log(`   GET    /api/exchange-rates - Get exchange rates`);
+      console.log(`   GET    /api/categories     - Get categories`);
+      console.log(`   POST   /api/categories/:id/merge - Merge categories`);
+      console.log(`   GET    /api/tags           - Get tags`);
+      console.log(`   POST   /api/expenses/tags  - Add or remove tags in bulk`);
+      console.log(`   GET    /api/notifications  - Get notifications`);
+      console.log(`   PUT    /api/notifications/preferences - Choose delivery channels`);
+      console.log(`   GET    /api/admin/users    - Manage users (admin)`);
+      console.log(`   GET    /api/account/export - Download all account data`);
+      console.log(`   DELETE /api/account        - Delete the account (after a grace period)\n`);
     });
     
     // Handle server errors
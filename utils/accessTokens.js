@@ -0,0 +1,80 @@
+// Personal access tokens: 'pat_' followed by 43 random base64url characters.
+// The prefix lets the auth middleware tell them apart from JWTs (and makes
+// leaked tokens easy to spot in logs and secret scanners).
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { PersonalAccessToken } = require('../models');
+
+const TOKEN_PREFIX = 'pat_';
+
+// What a token may be allowed to do. Routes declare the scope they need
+// with auth.scope(...); routes that don't only accept a login session.
+const SCOPES = ['expenses:read', 'expenses:write', 'reports:read'];
+
+// Characters kept (after 'pat_') to identify a token in listings
+const DISPLAY_PREFIX_LENGTH = 8;
+
+// How stale lastUsedAt may get before a request refreshes it
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const isPersonalAccessToken = (token) => typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+/**
+ * Create a token. The raw value is returned only here.
+ *
+ * @returns {Promise<{record: PersonalAccessToken, token: string}>}
+ */
+const createAccessToken = async (userId, { name, scopes, expiresAt = null }) => {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const record = await PersonalAccessToken.create({
+    userId,
+    name,
+    scopes: [...new Set(scopes)],
+    expiresAt,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(TOKEN_PREFIX.length, TOKEN_PREFIX.length + DISPLAY_PREFIX_LENGTH)
+  });
+  return { record, token };
+};
+
+// The live (unrevoked, unexpired) record for a raw token, or null
+const findAccessToken = (token) => PersonalAccessToken.findOne({
+  where: {
+    tokenHash: hashToken(token),
+    revokedAt: null,
+    [Op.or]: [
+      { expiresAt: null },
+      { expiresAt: { [Op.gt]: new Date() } }
+    ]
+  }
+});
+
+const touchAccessToken = async (record) => {
+  if (!record.lastUsedAt || Date.now() - record.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    await record.update({ lastUsedAt: new Date() });
+  }
+};
+
+// Safe to return to the owner: everything except the hash
+const serializeAccessToken = (record) => ({
+  id: record.id,
+  name: record.name,
+  prefix: `${TOKEN_PREFIX}${record.tokenPrefix}`,
+  scopes: record.scopes,
+  expiresAt: record.expiresAt,
+  lastUsedAt: record.lastUsedAt,
+  revokedAt: record.revokedAt,
+  createdAt: record.createdAt
+});
+
+module.exports = {
+  SCOPES,
+  isPersonalAccessToken,
+  createAccessToken,
+  findAccessToken,
+  touchAccessToken,
+  serializeAccessToken
+};
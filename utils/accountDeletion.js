@@ -0,0 +1,170 @@
+// Account deletion with a grace period.
+//
+// DELETE /api/account only schedules the deletion: other sessions and all
+// personal access tokens stop working, but the user can still log in and
+// cancel (POST /api/account/cancel-deletion; logging in alone does not)
+// until deletion_scheduled_for. After that jobs/accountDeletion.js
+// removes the user, their expenses, budgets, documents and team records,
+// and the uploaded files behind the documents.
+//
+// Deleting a user also removes their shared expenses, shares and
+// settlements, so an account that still owes or is owed money by someone
+// cannot be deleted until the two have settled up with each other.
+
+const fs = require('fs');
+const { Op } = require('sequelize');
+const User = require('../models/User');
+const {
+  Expense,
+  Budget,
+  Document,
+  TeamMember,
+  PersonalAccessToken,
+  SharedExpense,
+  ExpenseShare,
+  Settlement,
+  sequelize
+} = require('../models');
+const { revokeUserSessions } = require('./sessions');
+const { computeNetBalances } = require('./balances');
+const { fromCents } = require('./splits');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GRACE_PERIOD_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '14', 10);
+
+/**
+ * Open balances between a user and each person they share expenses with.
+ * Only entries the user takes part in count, so these are what the two
+ * still owe each other directly, per currency.
+ *
+ * @returns {Promise<Array<{userId: number, currency: string, amount: number}>>}
+ *   amount > 0 when the user owes that person, < 0 when they are owed
+ */
+const findUnsettledBalances = async (user) => {
+  const expenseInclude = { model: Expense, as: 'expense', attributes: ['currency'] };
+  const [paid, owed, settlements] = await Promise.all([
+    SharedExpense.findAll({
+      where: { payerId: user.id },
+      include: [{ model: ExpenseShare, as: 'shares' }, expenseInclude]
+    }),
+    SharedExpense.findAll({
+      where: { payerId: { [Op.ne]: user.id } },
+      include: [{ model: ExpenseShare, as: 'shares', where: { userId: user.id } }, expenseInclude]
+    }),
+    Settlement.findAll({
+      where: { [Op.or]: [{ fromUserId: user.id }, { toUserId: user.id }] }
+    })
+  ]);
+
+  const unsettled = [];
+  computeNetBalances([...paid, ...owed], settlements, user.home_currency).forEach((balances, currency) => {
+    balances.forEach((cents, userId) => {
+      if (userId !== user.id && cents !== 0) {
+        unsettled.push({ userId, currency, amount: fromCents(cents) });
+      }
+    });
+  });
+  return unsettled;
+};
+
+/**
+ * Mark an account for deletion after the grace period.
+ *
+ * @returns {Promise<Date>} When the account will be deleted
+ */
+const scheduleAccountDeletion = (user, { exceptSessionId = null } = {}) =>
+  sequelize.transaction(async (transaction) => {
+    const scheduledFor = new Date(Date.now() + GRACE_PERIOD_DAYS * DAY_MS);
+
+    await user.update({ deletion_scheduled_for: scheduledFor }, { transaction });
+    await revokeUserSessions(user.id, 'account_deletion', { exceptSessionId, transaction });
+    await PersonalAccessToken.update(
+      { revokedAt: new Date() },
+      { where: { userId: user.id, revokedAt: null }, transaction }
+    );
+
+    return scheduledFor;
+  });
+
+const cancelAccountDeletion = (user) => user.update({ deletion_scheduled_for: null });
+
+const removeFile = async (filePath) => {
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Error removing uploaded file ${filePath}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Delete a user and everything they own. Rows go in one transaction; the
+ * uploaded files are removed once it has committed.
+ *
+ * @returns {Promise<{expenses: number, budgets: number, documents: number, teamMembers: number}>}
+ */
+const purgeAccount = async (userId) => {
+  const user = await User.findByPk(userId, { attributes: ['id', 'home_currency'] });
+  if (!user) {
+    return { expenses: 0, budgets: 0, documents: 0, teamMembers: 0 };
+  }
+
+  // Shares may have been added during the grace period
+  if ((await findUnsettledBalances(user)).length > 0) {
+    throw new Error('Account still has unsettled shared expenses');
+  }
+
+  const { counts, filePaths } = await sequelize.transaction(async (transaction) => {
+    const documents = await Document.findAll({
+      where: { userId },
+      attributes: ['id', 'filePath'],
+      transaction
+    });
+
+    const counts = {
+      documents: await Document.destroy({ where: { userId }, transaction }),
+      expenses: await Expense.destroy({ where: { user_id: userId }, transaction }),
+      budgets: await Budget.destroy({ where: { userId }, transaction }),
+      teamMembers: await TeamMember.destroy({
+        where: {
+          [Op.or]: [{ ownerId: userId }, { userId }]
+        },
+        transaction
+      })
+    };
+
+    // Members an admin invited into someone else's workspace stay; the
+    // workspace owner becomes their inviter
+    await TeamMember.update(
+      { invitedById: sequelize.col('owner_id') },
+      { where: { invitedById: userId }, transaction }
+    );
+
+    // The remaining per-user tables cascade from users at the database
+    await User.destroy({ where: { id: userId }, transaction });
+
+    return { counts, filePaths: documents.map(document => document.filePath) };
+  });
+
+  for (const filePath of filePaths) {
+    await removeFile(filePath);
+  }
+
+  return counts;
+};
+
+// Users whose grace period is over
+const findAccountsDueForDeletion = (asOf = new Date()) => User.findAll({
+  where: { deletion_scheduled_for: { [Op.lte]: asOf } },
+  attributes: ['id']
+});
+
+module.exports = {
+  GRACE_PERIOD_DAYS,
+  findUnsettledBalances,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  purgeAccount,
+  findAccountsDueForDeletion
+};
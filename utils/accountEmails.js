@@ -0,0 +1,55 @@
+// Emails about the account itself (verification, password resets).
+// Links point at the frontend (APP_URL), which posts the token back to the API.
+
+const { sendMail } = require('./mailer');
+
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+const formatExpiry = (expiresAt) => expiresAt.toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+
+const sendVerificationEmail = (user, { token, expiresAt }) => sendMail({
+  to: user.email,
+  subject: 'Verify your email address',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    'Please confirm your email address to finish setting up your account:',
+    `${APP_URL}/verify-email?token=${token}`,
+    '',
+    `The link expires at ${formatExpiry(expiresAt)}. If you did not sign up, you can ignore this email.`
+  ].join('\n')
+});
+
+const sendPasswordResetEmail = (user, { token, expiresAt }) => sendMail({
+  to: user.email,
+  subject: 'Reset your password',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    'Someone asked to reset the password for your account. Choose a new password here:',
+    `${APP_URL}/reset-password?token=${token}`,
+    '',
+    `The link expires at ${formatExpiry(expiresAt)} and can be used once.`,
+    'If you did not ask for this, ignore this email; your password stays the same.'
+  ].join('\n')
+});
+
+const sendAccountDeletionEmail = (user, scheduledFor) => sendMail({
+  to: user.email,
+  subject: 'Your account is scheduled for deletion',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    `Your account and all of its data will be permanently deleted on ${formatExpiry(scheduledFor)}.`,
+    'You have been logged out everywhere except the device you used to request this.',
+    '',
+    'Changed your mind? Logging in alone does not stop the deletion. Log in and choose',
+    `"Cancel deletion" in your account settings before then: ${APP_URL}/settings/account`
+  ].join('\n')
+});
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountDeletionEmail
+};
@@ -0,0 +1,150 @@
+// Everything we hold on a user, as a zip:
+//   profile.json, expenses.json, budgets.json, documents.json, incomes.json,
+//   recurring-expenses.json, categories.json, tags.json, notifications.json,
+//   notification-preferences.json, sessions.json, linked-identities.json
+//   files/<document id>-<file name>   the uploaded files themselves
+
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const User = require('../models/User');
+const {
+  Expense,
+  Budget,
+  Document,
+  Income,
+  RecurringExpense,
+  Category,
+  Tag,
+  Notification,
+  NotificationPreference,
+  Session,
+  UserIdentity
+} = require('../models');
+
+// Never exported, not even to the user themselves
+const PRIVATE_USER_FIELDS = ['password', 'totp_secret', 'totp_last_step'];
+const PRIVATE_PREFERENCE_FIELDS = ['webhookSecret'];
+
+// JSON files in the zip, in order, and the collected data each one holds
+const JSON_FILES = [
+  ['profile.json', 'profile'],
+  ['expenses.json', 'expenses'],
+  ['budgets.json', 'budgets'],
+  ['documents.json', 'documents'],
+  ['incomes.json', 'incomes'],
+  ['recurring-expenses.json', 'recurringExpenses'],
+  ['categories.json', 'categories'],
+  ['tags.json', 'tags'],
+  ['notifications.json', 'notifications'],
+  ['notification-preferences.json', 'notificationPreferences'],
+  ['sessions.json', 'sessions'],
+  ['linked-identities.json', 'identities']
+];
+
+const plain = (rows) => rows.map(row => row.get({ plain: true }));
+
+const archiveNameFor = (document) =>
+  `files/${document.id}-${path.basename(document.fileName).replace(/[^\w.-]/g, '_')}`;
+
+/**
+ * Load the data for an export. Kept apart from writing the zip so database
+ * errors happen before any of the response is sent.
+ */
+const collectAccountData = async (userId) => {
+  const byId = { where: { userId }, order: [['id', 'ASC']] };
+  const [
+    user,
+    expenses,
+    budgets,
+    documents,
+    incomes,
+    recurringExpenses,
+    categories,
+    tags,
+    notifications,
+    notificationPreferences,
+    sessions,
+    identities
+  ] = await Promise.all([
+    User.findByPk(userId, { attributes: { exclude: PRIVATE_USER_FIELDS } }),
+    Expense.findAll({ where: { user_id: userId }, order: [['date', 'ASC'], ['id', 'ASC']] }),
+    Budget.findAll(byId),
+    Document.findAll(byId),
+    Income.findAll({ where: { userId }, order: [['date', 'ASC'], ['id', 'ASC']] }),
+    RecurringExpense.findAll(byId),
+    Category.findAll(byId),
+    Tag.findAll({
+      ...byId,
+      include: [{ model: Expense, as: 'expenses', attributes: ['id'], through: { attributes: [] } }]
+    }),
+    Notification.findAll(byId),
+    NotificationPreference.findAll({ ...byId, attributes: { exclude: PRIVATE_PREFERENCE_FIELDS } }),
+    Session.findAll(byId),
+    UserIdentity.findAll(byId)
+  ]);
+
+  const files = [];
+  const documentData = documents.map(document => {
+    const { filePath, ...metadata } = document.get({ plain: true });
+    const file = fs.existsSync(filePath) ? archiveNameFor(document) : null;
+    if (file) {
+      files.push({ source: filePath, name: file });
+    }
+    return { ...metadata, file };
+  });
+
+  return {
+    profile: user.get({ plain: true }),
+    expenses: plain(expenses),
+    budgets: plain(budgets),
+    documents: documentData,
+    incomes: plain(incomes),
+    recurringExpenses: plain(recurringExpenses),
+    categories: plain(categories),
+    tags: plain(tags).map(({ expenses: tagged, ...tag }) => ({
+      ...tag,
+      expenseIds: tagged.map(expense => expense.id)
+    })),
+    notifications: plain(notifications),
+    notificationPreferences: plain(notificationPreferences),
+    sessions: plain(sessions),
+    identities: plain(identities),
+    files
+  };
+};
+
+/**
+ * Stream the export zip to the client as an attachment.
+ *
+ * @param {Object} res - Express response
+ * @param {Object} data - Result of collectAccountData
+ * @param {string} filename - File name without extension
+ */
+const sendAccountExport = (res, data, filename) => new Promise((resolve, reject) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  archive.on('warning', error => console.warn('Account export warning:', error.message));
+  archive.on('error', reject);
+  res.on('finish', resolve);
+  // A client that disconnects mid-download never gets a 'finish'
+  res.on('close', () => {
+    archive.abort();
+    resolve();
+  });
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.zip"`);
+  archive.pipe(res);
+
+  const json = (value) => JSON.stringify(value, null, 2);
+  JSON_FILES.forEach(([name, key]) => archive.append(json(data[key]), { name }));
+  data.files.forEach(file => archive.file(file.source, { name: file.name }));
+
+  archive.finalize();
+});
+
+module.exports = {
+  collectAccountData,
+  sendAccountExport
+};
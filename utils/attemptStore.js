@@ -0,0 +1,79 @@
+// Storage for failed-attempt counters (login throttling).
+//
+// The default MemoryStore keeps counters in this process, which is enough for
+// a single server. Anything with the same async interface can be swapped in
+// with setAttemptStore(), e.g. a Redis-backed store when running several
+// instances:
+//
+//   increment(key, ttlMs) -> { count, updatedAt }  add one hit; the entry
+//                                                  expires ttlMs after it
+//   get(key)              -> { count, updatedAt } | null
+//   reset(key)            -> void
+
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+    this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweeper.unref();
+  }
+
+  async increment(key, ttlMs) {
+    const now = Date.now();
+    const entry = this.live(key, now);
+    const next = {
+      count: entry ? entry.count + 1 : 1,
+      updatedAt: now,
+      expiresAt: now + ttlMs
+    };
+    this.entries.set(key, next);
+    return { count: next.count, updatedAt: next.updatedAt };
+  }
+
+  async get(key) {
+    const entry = this.live(key, Date.now());
+    return entry ? { count: entry.count, updatedAt: entry.updatedAt } : null;
+  }
+
+  async reset(key) {
+    this.entries.delete(key);
+  }
+
+  live(key, now) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= now) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+let store = null;
+
+const getAttemptStore = () => {
+  if (!store) {
+    store = new MemoryStore();
+  }
+  return store;
+};
+
+const setAttemptStore = (customStore) => {
+  store = customStore;
+};
+
+module.exports = {
+  MemoryStore,
+  getAttemptStore,
+  setAttemptStore
+};
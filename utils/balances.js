@@ -0,0 +1,99 @@
+// Net balance and debt simplification helpers for shared expenses.
+// Positive balances are owed money, negative balances owe money.
+
+const { toCents, fromCents } = require('./splits');
+
+/**
+ * Net every user's position across shared expenses and settlements.
+ * Amounts in different currencies are never netted against each other:
+ * each currency gets its own set of balances.
+ *
+ * @param {Array} sharedExpenses - SharedExpense rows with their `shares`
+ *   and `expense` (for its currency)
+ * @param {Array} settlements - Settlement rows
+ * @param {string} defaultCurrency - Currency for rows that have none
+ * @returns {Map<string, Map<number, number>>} currency -> userId -> balance in cents
+ */
+const computeNetBalances = (sharedExpenses, settlements, defaultCurrency) => {
+  const balances = new Map();
+  const adjust = (currency, userId, cents) => {
+    const code = currency || defaultCurrency;
+    if (!balances.has(code)) {
+      balances.set(code, new Map());
+    }
+    const ledger = balances.get(code);
+    ledger.set(userId, (ledger.get(userId) || 0) + cents);
+  };
+
+  sharedExpenses.forEach(sharedExpense => {
+    const currency = sharedExpense.expense && sharedExpense.expense.currency;
+    adjust(currency, sharedExpense.payerId, 0);
+    sharedExpense.shares.forEach(share => {
+      if (share.userId === sharedExpense.payerId) {
+        return; // The payer's own portion is not a debt
+      }
+      const cents = toCents(share.amount);
+      adjust(currency, sharedExpense.payerId, cents);
+      adjust(currency, share.userId, -cents);
+    });
+  });
+
+  settlements.forEach(settlement => {
+    const cents = toCents(settlement.amount);
+    adjust(settlement.currency, settlement.fromUserId, cents);
+    adjust(settlement.currency, settlement.toUserId, -cents);
+  });
+
+  return balances;
+};
+
+/**
+ * Reduce net balances to a small set of transfers that settles everyone.
+ * Greedily matches the largest debtor with the largest creditor, which
+ * needs at most n - 1 transfers for n users with a non-zero balance.
+ *
+ * @param {Map<number, number>} balances - userId -> balance in cents
+ * @returns {Array<{fromUserId: number, toUserId: number, amount: number}>}
+ */
+const simplifyDebts = (balances) => {
+  const creditors = [];
+  const debtors = [];
+
+  balances.forEach((cents, userId) => {
+    if (cents > 0) {
+      creditors.push({ userId, cents });
+    } else if (cents < 0) {
+      debtors.push({ userId, cents: -cents });
+    }
+  });
+
+  const byAmount = (a, b) => b.cents - a.cents || a.userId - b.userId;
+  const transfers = [];
+
+  while (creditors.length > 0 && debtors.length > 0) {
+    creditors.sort(byAmount);
+    debtors.sort(byAmount);
+
+    const creditor = creditors[0];
+    const debtor = debtors[0];
+    const cents = Math.min(creditor.cents, debtor.cents);
+
+    transfers.push({
+      fromUserId: debtor.userId,
+      toUserId: creditor.userId,
+      amount: fromCents(cents)
+    });
+
+    creditor.cents -= cents;
+    debtor.cents -= cents;
+    if (creditor.cents === 0) creditors.shift();
+    if (debtor.cents === 0) debtors.shift();
+  }
+
+  return transfers;
+};
+
+module.exports = {
+  computeNetBalances,
+  simplifyDebts
+};
@@ -0,0 +1,137 @@
+// Budget threshold alerts, evaluated after expenses change.
+
+const { Op } = require('sequelize');
+const { Budget, Expense, Category } = require('../models');
+const { BUDGET_PERIODS, parseDateOnly, formatDateOnly, getPeriodWindows } = require('./periods');
+const { loadCurrencyConverter } = require('./currency');
+const { createCategoryTree } = require('./categories');
+const { notify } = require('./notifications');
+
+const DEFAULT_THRESHOLDS = [50, 80, 100];
+
+// Sorted, de-duplicated whole percentages, or null if the input is invalid
+const normalizeThresholds = (value) => {
+  if (!Array.isArray(value)) {
+    return null;
+  }
+  const thresholds = value.map(Number);
+  if (thresholds.some(threshold => !Number.isInteger(threshold) || threshold < 1 || threshold > 1000)) {
+    return null;
+  }
+  return [...new Set(thresholds)].sort((a, b) => a - b);
+};
+
+const formatMoney = (amount, currency) => `${currency} ${amount.toFixed(2)}`;
+
+/**
+ * Check the user's budgets for the periods containing `dates` and send a
+ * budget_alert notification for every threshold that spending has reached.
+ * Each threshold alerts at most once per budget period, even if spending
+ * drops and rises again.
+ *
+ * @param {Object} user - The expense owner (id, email, home_currency)
+ * @param {Array<string|Date>} dates - Dates of the expenses that changed
+ * @returns {Promise<Notification[]>} Newly recorded alerts
+ */
+const evaluateBudgetAlerts = async (user, dates) => {
+  const days = [...new Set(dates.filter(Boolean).map(date => formatDateOnly(parseDateOnly(date))))];
+  if (days.length === 0) {
+    return [];
+  }
+
+  const budgets = await Budget.findAll({ where: { userId: user.id } });
+  if (budgets.length === 0) {
+    return [];
+  }
+
+  const categories = await Category.findAll({
+    where: { userId: user.id },
+    attributes: ['id', 'name', 'parentId'],
+    raw: true
+  });
+  const tree = createCategoryTree(categories);
+  const converter = await loadCurrencyConverter(user.home_currency);
+  const created = [];
+
+  for (const budget of budgets) {
+    const thresholds = normalizeThresholds(budget.alertThresholds) || DEFAULT_THRESHOLDS;
+    const period = BUDGET_PERIODS.includes(budget.period) ? budget.period : 'monthly';
+
+    // Distinct budget windows touched by the changed dates
+    const windows = new Map();
+    days.forEach(day => {
+      getPeriodWindows(period, day, day).forEach(window => windows.set(window.label, window));
+    });
+
+    // A budget on a parent category also counts its subcategories; budgets
+    // without a category link match on the name
+    const categoryWhere = budget.categoryId
+      ? {
+        [Op.or]: [
+          { category_id: { [Op.in]: [...tree.descendantIds(budget.categoryId)] } },
+          { category_id: null, category: budget.category }
+        ]
+      }
+      : { category: budget.category };
+
+    for (const window of windows.values()) {
+      const limit = converter.convert(budget.amount, budget.currency, window.start);
+      if (!limit || limit <= 0) {
+        continue;
+      }
+
+      const expenses = await Expense.findAll({
+        where: {
+          user_id: user.id,
+          date: { [Op.between]: [window.start, window.end] },
+          ...categoryWhere
+        },
+        attributes: ['amount', 'currency', 'date'],
+        raw: true
+      });
+
+      const spent = expenses.reduce(
+        (sum, expense) => sum + (converter.convert(expense.amount, expense.currency, expense.date) || 0),
+        0
+      );
+      const percent = Math.round((spent / limit) * 10000) / 100;
+      const reached = thresholds.filter(threshold => percent >= threshold);
+
+      for (const threshold of reached) {
+        const notification = await notify(user, {
+          dedupeKey: `budget:${budget.id}:${window.label}:${threshold}`,
+          type: 'budget_alert',
+          title: threshold >= 100
+            ? `Budget exceeded: ${budget.name}`
+            : `${threshold}% of ${budget.name} used`,
+          message: `You have spent ${formatMoney(spent, converter.homeCurrency)} of your ` +
+            `${formatMoney(limit, converter.homeCurrency)} ${period} "${budget.name}" budget ` +
+            `for ${window.label} (${percent}%).`,
+          data: {
+            budgetId: budget.id,
+            threshold,
+            percent,
+            spent: Math.round(spent * 100) / 100,
+            budget: limit,
+            currency: converter.homeCurrency,
+            period: window.label,
+            start: window.start,
+            end: window.end
+          }
+        });
+
+        if (notification) {
+          created.push(notification);
+        }
+      }
+    }
+  }
+
+  return created;
+};
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  normalizeThresholds,
+  evaluateBudgetAlerts
+};
@@ -0,0 +1,145 @@
+const { Op, fn, col, where: whereFn } = require('sequelize');
+const { Category, Expense, Budget, RecurringExpense } = require('../models');
+
+class CategoryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CategoryError';
+  }
+}
+
+// Trim and collapse whitespace so "Groceries " and "Groceries" are one name
+const normalizeCategoryName = (name) => String(name || '').trim().replace(/\s+/g, ' ');
+
+// Case-insensitive lookup of a user's category by name
+const findCategoryByName = (userId, name, transaction) => Category.findOne({
+  where: {
+    userId,
+    [Op.and]: [whereFn(fn('LOWER', col('name')), normalizeCategoryName(name).toLowerCase())]
+  },
+  transaction
+});
+
+/**
+ * Resolve the category for an expense, budget or template.
+ * Accepts a categoryId, or a name that is matched case-insensitively and
+ * created on first use. Archived categories cannot be picked.
+ *
+ * @returns {Promise<Category>}
+ */
+const resolveCategory = async (userId, { categoryId, category }, transaction) => {
+  let record = null;
+
+  if (categoryId !== undefined && categoryId !== null && categoryId !== '') {
+    record = await Category.findOne({
+      where: { id: categoryId, userId },
+      transaction
+    });
+    if (!record) {
+      throw new CategoryError(`Category ${categoryId} not found`);
+    }
+  } else {
+    const name = normalizeCategoryName(category);
+    if (!name) {
+      throw new CategoryError('Category is required');
+    }
+
+    record = await findCategoryByName(userId, name, transaction);
+    if (!record) {
+      record = await Category.create({ userId, name }, { transaction });
+    }
+  }
+
+  if (record.archived) {
+    throw new CategoryError(`Category "${record.name}" is archived`);
+  }
+
+  return record;
+};
+
+// IDs of a category and all of its descendants
+const getDescendantIds = (categories, rootId) => {
+  const ids = [rootId];
+  for (let i = 0; i < ids.length; i++) {
+    categories
+      .filter(category => category.parentId === ids[i] && !ids.includes(category.id))
+      .forEach(category => ids.push(category.id));
+  }
+  return ids;
+};
+
+/**
+ * Index a user's categories (plain objects with id, name and parentId)
+ * for walking the tree. Top-level categories are at depth 0.
+ */
+const createCategoryTree = (categories) => {
+  const byId = new Map(categories.map(category => [category.id, category]));
+  const descendantCache = new Map();
+
+  const parentOf = (id) => {
+    const category = byId.get(id);
+    return category && category.parentId && byId.has(category.parentId) ? category.parentId : null;
+  };
+
+  // Ancestors from the category itself up to its root
+  const pathOf = (id) => {
+    const path = [];
+    const seen = new Set();
+    for (let current = id; current && !seen.has(current); current = parentOf(current)) {
+      seen.add(current);
+      path.push(current);
+    }
+    return path;
+  };
+
+  return {
+    byId,
+
+    roots: () => categories.filter(category => parentOf(category.id) === null),
+
+    childrenOf: (id) => categories.filter(category => parentOf(category.id) === id),
+
+    depthOf: (id) => pathOf(id).length - 1,
+
+    // The category's ancestor at `depth`, or the category itself when it
+    // sits at or above that depth
+    ancestorAtDepth: (id, depth) => {
+      const path = pathOf(id);
+      const index = Math.max(path.length - 1 - depth, 0);
+      return byId.get(path[index]);
+    },
+
+    descendantIds: (id) => {
+      if (!descendantCache.has(id)) {
+        descendantCache.set(id, new Set(getDescendantIds(categories, id)));
+      }
+      return descendantCache.get(id);
+    }
+  };
+};
+
+// Rename the denormalised category strings after a category is renamed
+const syncCategoryName = async (category, transaction) => {
+  await Expense.update(
+    { category: category.name },
+    { where: { category_id: category.id }, transaction }
+  );
+  await Budget.update(
+    { category: category.name },
+    { where: { categoryId: category.id }, transaction }
+  );
+  await RecurringExpense.update(
+    { category: category.name },
+    { where: { categoryId: category.id }, transaction }
+  );
+};
+
+module.exports = {
+  CategoryError,
+  normalizeCategoryName,
+  findCategoryByName,
+  resolveCategory,
+  getDescendantIds,
+  createCategoryTree,
+  syncCategoryName
+};
@@ -0,0 +1,84 @@
+// Minimal RFC 4180 CSV reader and writer.
+// Handles quoted fields, escaped quotes, embedded newlines and CRLF line endings.
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings).
+ * Blank lines are dropped.
+ */
+const parseCsv = (text, delimiter = ',') => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+// Text starting with one of these runs as a formula when the file is opened
+// in a spreadsheet (CSV injection), so it is prefixed with a quote
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Numbers are left alone so negative amounts stay numeric
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialise rows (arrays of values) into CSV text with CRLF line endings.
+ */
+const toCsv = (rows) => rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
@@ -0,0 +1,155 @@
+const { Op } = require('sequelize');
+const { ExchangeRate } = require('../models');
+const { parseDateOnly, formatDateOnly } = require('./periods');
+
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'INR').toUpperCase();
+
+const normalizeCurrency = (code) => (code ? String(code).trim().toUpperCase() : null);
+
+const isCurrencyCode = (code) => /^[A-Z]{3}$/.test(normalizeCurrency(code) || '');
+
+/**
+ * Load every stored rate to or from `homeCurrency` and return a converter.
+ * A conversion uses the most recent rate on or before the given date,
+ * falling back to the inverse of the opposite pair.
+ *
+ * The converter records pairs it had no rate for in `missing`, as
+ * 'EUR->INR@2026-01-01' style strings (earliest date per pair).
+ */
+const loadCurrencyConverter = async (homeCurrency) => {
+  const home = normalizeCurrency(homeCurrency) || DEFAULT_CURRENCY;
+
+  const rates = await ExchangeRate.findAll({
+    where: {
+      [Op.or]: [
+        { baseCurrency: home },
+        { quoteCurrency: home }
+      ]
+    },
+    order: [['date', 'ASC']]
+  });
+
+  // currency -> [{ date, rate }] where rate converts currency into home
+  const series = new Map();
+  rates.forEach(row => {
+    const currency = row.baseCurrency === home ? row.quoteCurrency : row.baseCurrency;
+    const rate = row.baseCurrency === home ? 1 / row.rate : row.rate;
+    if (!series.has(currency)) {
+      series.set(currency, []);
+    }
+    series.get(currency).push({ date: formatDateOnly(parseDateOnly(row.date)), rate });
+  });
+
+  const missing = new Map();
+
+  const rateFor = (currency, date) => {
+    const from = normalizeCurrency(currency) || home;
+    if (from === home) {
+      return 1;
+    }
+
+    const day = formatDateOnly(parseDateOnly(date));
+    const points = series.get(from) || [];
+
+    // Latest rate on or before the date (points are sorted by date)
+    let low = 0;
+    let high = points.length - 1;
+    let found = null;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (points[mid].date <= day) {
+        found = points[mid];
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    if (!found) {
+      const key = `${from}->${home}`;
+      if (!missing.has(key) || day < missing.get(key)) {
+        missing.set(key, day);
+      }
+      return null;
+    }
+
+    return found.rate;
+  };
+
+  return {
+    homeCurrency: home,
+    rateFor,
+    // Returns the converted amount rounded to cents, or null without a rate
+    convert(amount, currency, date) {
+      const rate = rateFor(currency, date);
+      return rate === null ? null : Math.round(parseFloat(amount) * rate * 100) / 100;
+    },
+    get missing() {
+      return [...missing.entries()].map(([pair, date]) => `${pair}@${date}`);
+    }
+  };
+};
+
+/**
+ * Upsert exchange rates from parsed CSV rows. The first row must be a header
+ * with date, base, quote and rate columns (any order, case-insensitive).
+ *
+ * @param {string[][]} rows - Output of parseCsv
+ * @returns {Promise<{imported: number, errors: Array<{line: number, message: string}>}>}
+ */
+const importExchangeRates = async (rows) => {
+  const header = (rows[0] || []).map(name => name.trim().toLowerCase());
+  const columns = {};
+  ['date', 'base', 'quote', 'rate'].forEach(name => {
+    columns[name] = header.indexOf(name);
+  });
+
+  const missingColumns = Object.keys(columns).filter(name => columns[name] === -1);
+  if (missingColumns.length > 0) {
+    return {
+      imported: 0,
+      errors: [{ line: 1, message: `Missing column(s): ${missingColumns.join(', ')}` }]
+    };
+  }
+
+  const records = [];
+  const errors = [];
+  rows.slice(1).forEach((row, index) => {
+    const cell = (name) => String(row[columns[name]] || '').trim();
+    const record = {
+      date: cell('date'),
+      baseCurrency: normalizeCurrency(cell('base')),
+      quoteCurrency: normalizeCurrency(cell('quote')),
+      rate: parseFloat(cell('rate'))
+    };
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(record.date) || formatDateOnly(parseDateOnly(record.date)) !== record.date) {
+      errors.push({ line: index + 2, message: `Invalid date "${record.date}"` });
+    } else if (!isCurrencyCode(record.baseCurrency) || !isCurrencyCode(record.quoteCurrency)) {
+      errors.push({ line: index + 2, message: 'base and quote must be 3-letter currency codes' });
+    } else if (record.baseCurrency === record.quoteCurrency) {
+      errors.push({ line: index + 2, message: 'base and quote must differ' });
+    } else if (!(record.rate > 0)) {
+      errors.push({ line: index + 2, message: `Invalid rate "${cell('rate')}"` });
+    } else {
+      records.push(record);
+    }
+  });
+
+  if (records.length > 0) {
+    await ExchangeRate.bulkCreate(records, {
+      validate: true,
+      updateOnDuplicate: ['rate', 'updatedAt']
+    });
+  }
+
+  return { imported: records.length, errors };
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  normalizeCurrency,
+  isCurrencyCode,
+  loadCurrencyConverter,
+  importExchangeRates
+};
@@ -0,0 +1,151 @@
+const { query } = require('express-validator');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/db');
+const { TAG_MODES, parseTagNames } = require('./tags');
+
+// Query parameter name -> Expense attribute that can be sorted on
+const SORT_FIELDS = {
+  date: 'date',
+  amount: 'amount',
+  category: 'category',
+  createdAt: 'created_at'
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Accept ?category=Food&category=Rent as well as ?category=Food,Rent
+const parseList = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+// Escape LIKE wildcards so a search for "50%" matches literally
+const escapeLike = (value) => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+// Validators for the filters shared by listing, export and reports
+const expenseFilterValidators = [
+  query('startDate', 'startDate must be a valid date (YYYY-MM-DD)').optional().isString().isDate(),
+  query('endDate', 'endDate must be a valid date (YYYY-MM-DD)').optional().isString().isDate(),
+  query('minAmount', 'minAmount must be a positive number').optional().isString().isFloat({ min: 0 }),
+  query('maxAmount', 'maxAmount must be a positive number').optional().isString().isFloat({ min: 0 }),
+  query('search', 'search must be at most 100 characters').optional().isString().isLength({ max: 100 }),
+  query('tagMode', `tagMode must be one of: ${TAG_MODES.join(', ')}`).optional().isIn(TAG_MODES)
+];
+
+// Validators for sorting and pagination on GET /api/expenses
+const expenseListValidators = [
+  ...expenseFilterValidators,
+  query('sortBy', `sortBy must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`)
+    .optional()
+    .isIn(Object.keys(SORT_FIELDS)),
+  query('order', 'order must be asc or desc').optional().isIn(['asc', 'desc', 'ASC', 'DESC']),
+  query('page', 'page must be a positive integer').optional().isInt({ min: 1 }),
+  query('limit', `limit must be between 1 and ${MAX_PAGE_SIZE}`).optional().isInt({ min: 1, max: MAX_PAGE_SIZE }),
+  query('cursor', 'cursor must be a string').optional().isString()
+];
+
+/**
+ * Build the Expense `where` clause for a user from request query filters.
+ * Supports startDate, endDate, category (names, multiple), categoryId
+ * (multiple), minAmount, maxAmount, search (matched against notes) and
+ * tags (multiple) with tagMode=any (default) or all.
+ */
+const buildExpenseWhere = (userId, filters = {}) => {
+  const where = { user_id: userId };
+
+  if (filters.startDate || filters.endDate) {
+    where.date = {};
+    if (filters.startDate) where.date[Op.gte] = filters.startDate;
+    if (filters.endDate) where.date[Op.lte] = filters.endDate;
+  }
+
+  const categories = parseList(filters.category);
+  if (categories.length > 0) {
+    where.category = { [Op.in]: categories };
+  }
+
+  const categoryIds = parseList(filters.categoryId).map(id => parseInt(id, 10)).filter(id => !isNaN(id));
+  if (categoryIds.length > 0) {
+    where.category_id = { [Op.in]: categoryIds };
+  }
+
+  if (filters.minAmount !== undefined || filters.maxAmount !== undefined) {
+    where.amount = {};
+    if (filters.minAmount !== undefined) where.amount[Op.gte] = parseFloat(filters.minAmount);
+    if (filters.maxAmount !== undefined) where.amount[Op.lte] = parseFloat(filters.maxAmount);
+  }
+
+  if (filters.search && filters.search.trim()) {
+    where.notes = { [Op.like]: `%${escapeLike(filters.search.trim())}%` };
+  }
+
+  const tags = parseTagNames(filters.tags);
+  if (tags.length > 0) {
+    // any: at least one of the tags; all: every one of them
+    const names = tags.map(name => sequelize.escape(name)).join(', ');
+    const having = filters.tagMode === 'all'
+      ? ` GROUP BY et.expense_id HAVING COUNT(DISTINCT et.tag_id) = ${tags.length}`
+      : '';
+    where.id = {
+      [Op.in]: sequelize.literal(
+        `(SELECT et.expense_id FROM expense_tags et JOIN tags t ON t.id = et.tag_id ` +
+        `WHERE t.user_id = ${sequelize.escape(userId)} AND t.name IN (${names})${having})`
+      )
+    };
+  }
+
+  return where;
+};
+
+// Cursors are opaque to clients: base64url JSON of the last row's sort value and id
+const encodeCursor = (value, id) =>
+  Buffer.from(JSON.stringify({ v: value, id })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    // Both values go into the where clause, so nothing but plain scalars:
+    // an object here would be read as Sequelize operators
+    if (
+      !decoded ||
+      !Number.isSafeInteger(decoded.id) ||
+      decoded.id < 1 ||
+      !(typeof decoded.v === 'string' || Number.isFinite(decoded.v))
+    ) {
+      return null;
+    }
+    return { v: decoded.v, id: decoded.id };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Keyset condition for rows after the cursor, with id as the tie-breaker
+const buildCursorWhere = (field, direction, cursor) => {
+  const op = direction === 'ASC' ? Op.gt : Op.lt;
+  return {
+    [Op.or]: [
+      { [field]: { [op]: cursor.v } },
+      { [field]: cursor.v, id: { [op]: cursor.id } }
+    ]
+  };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseList,
+  escapeLike,
+  expenseFilterValidators,
+  expenseListValidators,
+  buildExpenseWhere,
+  encodeCursor,
+  decodeCursor,
+  buildCursorWhere
+};
@@ -0,0 +1,166 @@
+// Turn bank statement CSV rows into Expense attributes using a column mapping.
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+const MAPPING_FIELDS = ['date', 'amount', 'description', 'category'];
+const REQUIRED_FIELDS = ['date', 'amount'];
+
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+// Resolve each mapped field to a column index. A mapping value can be a
+// header name (matched case-insensitively) or a zero-based column index.
+const resolveColumns = (mapping, header) => {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new ImportError(`mapping must be an object with ${MAPPING_FIELDS.join(', ')} columns`);
+  }
+
+  const normalizedHeader = header ? header.map(name => name.trim().toLowerCase()) : null;
+  const columns = {};
+
+  MAPPING_FIELDS.forEach(field => {
+    const source = mapping[field];
+    if (source === undefined || source === null || source === '') {
+      if (REQUIRED_FIELDS.includes(field)) {
+        throw new ImportError(`mapping.${field} is required`);
+      }
+      return;
+    }
+
+    if (Number.isInteger(source) || /^\d+$/.test(String(source))) {
+      columns[field] = parseInt(source, 10);
+      return;
+    }
+
+    const index = normalizedHeader ? normalizedHeader.indexOf(String(source).trim().toLowerCase()) : -1;
+    if (index === -1) {
+      throw new ImportError(`Column "${source}" for ${field} was not found in the CSV header`);
+    }
+    columns[field] = index;
+  });
+
+  return columns;
+};
+
+// Parse a date in the given format into 'YYYY-MM-DD', or null if invalid
+const parseStatementDate = (value, format) => {
+  const parts = String(value || '').trim().split(/[^0-9]+/).filter(Boolean).map(Number);
+  if (parts.length < 3) {
+    return null;
+  }
+
+  let year, month, day;
+  if (format === 'DD/MM/YYYY') {
+    [day, month, year] = parts;
+  } else if (format === 'MM/DD/YYYY') {
+    [month, day, year] = parts;
+  } else {
+    [year, month, day] = parts;
+  }
+
+  if (year < 100) {
+    year += 2000;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return date.toISOString().slice(0, 10);
+};
+
+// Parse amounts such as "1,234.50", "-₹450", "Rs. 450.00", "(12.00)" or
+// "12.00 DR". The cell must hold exactly one number with at most one
+// decimal point; anything else is not an amount we can trust.
+const parseStatementAmount = (value) => {
+  const text = String(value || '').trim();
+  const numbers = text.match(/-?\d[\d,.]*/g) || [];
+  if (numbers.length !== 1) {
+    return null;
+  }
+
+  const number = numbers[0].replace(/[.,]+$/, '');
+  if ((number.match(/\./g) || []).length > 1) {
+    return null;
+  }
+
+  const negative = number.startsWith('-') || /^-|^\(.*\)$|\bdr\b/i.test(text);
+  const amount = Math.abs(parseFloat(number.replace(/,/g, '')));
+  if (isNaN(amount)) {
+    return null;
+  }
+  return negative ? -amount : amount;
+};
+
+/**
+ * Map parsed CSV rows onto expense attributes.
+ *
+ * @param {string[][]} rows - Output of parseCsv
+ * @param {Object} options
+ * @param {Object} options.mapping - Columns for date, amount, description, category
+ * @param {boolean} [options.hasHeader=true] - Whether the first row is a header
+ * @param {string} [options.dateFormat='YYYY-MM-DD'] - One of DATE_FORMATS
+ * @param {string} [options.defaultCategory='Uncategorized'] - Used when no category is mapped or the cell is empty
+ * @param {boolean} [options.debitsOnly=false] - Skip rows with positive amounts (credits)
+ * @returns {Array<{line: number, status: string, expense: Object|null, errors: string[]}>}
+ */
+const mapStatementRows = (rows, options) => {
+  const hasHeader = options.hasHeader !== false;
+  const dateFormat = options.dateFormat || 'YYYY-MM-DD';
+  const defaultCategory = options.defaultCategory || 'Uncategorized';
+
+  if (!DATE_FORMATS.includes(dateFormat)) {
+    throw new ImportError(`dateFormat must be one of: ${DATE_FORMATS.join(', ')}`);
+  }
+
+  const columns = resolveColumns(options.mapping, hasHeader ? rows[0] : null);
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+
+  return dataRows.map((row, index) => {
+    const line = index + (hasHeader ? 2 : 1);
+    const cell = (field) => (columns[field] === undefined ? '' : String(row[columns[field]] || '').trim());
+    const errors = [];
+
+    const date = parseStatementDate(cell('date'), dateFormat);
+    if (!date) {
+      errors.push(`Invalid date "${cell('date')}"`);
+    }
+
+    const signedAmount = parseStatementAmount(cell('amount'));
+    if (signedAmount === null || signedAmount === 0) {
+      errors.push(`Invalid amount "${cell('amount')}"`);
+    }
+
+    if (errors.length > 0) {
+      return { line, status: 'invalid', expense: null, errors };
+    }
+
+    if (options.debitsOnly && signedAmount > 0) {
+      return { line, status: 'skipped', expense: null, errors: ['Credit row skipped'] };
+    }
+
+    return {
+      line,
+      status: 'new',
+      expense: {
+        date,
+        amount: Math.abs(signedAmount),
+        notes: cell('description').slice(0, 500) || null,
+        category: (cell('category') || defaultCategory).slice(0, 50)
+      },
+      errors
+    };
+  });
+};
+
+module.exports = {
+  DATE_FORMATS,
+  ImportError,
+  mapStatementRows,
+  parseStatementDate,
+  parseStatementAmount
+};
@@ -0,0 +1,73 @@
+const ExcelJS = require('exceljs');
+const { toCsv } = require('./csv');
+
+const EXPORT_FORMATS = ['csv', 'json', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const writeCsv = (res, sheets) => {
+  sheets.forEach((sheet, index) => {
+    // Multi-section exports get a title row and a blank line between sections
+    if (sheets.length > 1) {
+      if (index > 0) {
+        res.write('\r\n');
+      }
+      res.write(toCsv([[sheet.name]]));
+    }
+    res.write(toCsv([sheet.columns.map(column => column.header)]));
+    sheet.rows.forEach(row => {
+      res.write(toCsv([sheet.columns.map(column => row[column.key])]));
+    });
+  });
+  res.end();
+};
+
+const writeXlsx = async (res, sheets) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+
+  sheets.forEach(sheet => {
+    const worksheet = workbook.addWorksheet(sheet.name);
+    worksheet.columns = sheet.columns.map(column => ({
+      header: column.header,
+      key: column.key,
+      width: column.width || 16
+    }));
+    sheet.rows.forEach(row => worksheet.addRow(row).commit());
+    worksheet.commit();
+  });
+
+  await workbook.commit();
+};
+
+/**
+ * Stream an export to the client as an attachment.
+ *
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.format - One of EXPORT_FORMATS
+ * @param {string} options.filename - File name without extension
+ * @param {Array<{name: string, columns: Array<{header: string, key: string}>, rows: Object[]}>} options.sheets
+ *   Tabular data for CSV and XLSX (one worksheet or CSV section per entry)
+ * @param {*} options.json - Payload for the JSON format
+ */
+const sendExport = async (res, { format, filename, sheets, json }) => {
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+  if (format === 'json') {
+    res.end(JSON.stringify(json, null, 2));
+  } else if (format === 'xlsx') {
+    await writeXlsx(res, sheets);
+  } else {
+    writeCsv(res, sheets);
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  sendExport
+};
@@ -0,0 +1,138 @@
+// Linking external logins (utils/oidc.js) to User rows.
+//
+// A provider account is matched by its subject id first. Failing that, a
+// verified email that belongs to a verified user links the two; otherwise a
+// new user is created. Users keep at least one way to log in: a password
+// or a linked provider.
+
+const User = require('../models/User');
+const { UserIdentity, sequelize } = require('../models');
+const { OidcError } = require('./oidc');
+
+const USERNAME_MAX_LENGTH = 20;
+
+// Turn an email's local part into a free username, e.g. jane.doe -> jane_doe
+const generateUsername = async (email, transaction) => {
+  let base = email.split('@')[0].replace(/[^a-zA-Z0-9_]/g, '_').slice(0, USERNAME_MAX_LENGTH - 5);
+  if (base.length < 3) {
+    base = `user_${base}`;
+  }
+
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const candidate = attempt === 0 ? base : `${base}_${Math.floor(1000 + Math.random() * 9000)}`;
+    if (!(await User.findOne({ where: { username: candidate }, transaction }))) {
+      return candidate;
+    }
+  }
+  throw new OidcError('Could not pick a username for the new account', 500);
+};
+
+const createIdentity = (userId, provider, profile, transaction) => UserIdentity.create({
+  userId,
+  provider: provider.id,
+  subject: profile.subject,
+  email: profile.email,
+  lastLoginAt: new Date()
+}, { transaction });
+
+/**
+ * Find the user a provider login belongs to, linking or creating one when
+ * the provider account has not been seen before.
+ *
+ * @returns {Promise<{user: object, created: boolean, linked: boolean}>}
+ */
+const resolveLoginUser = (provider, profile) => sequelize.transaction(async (transaction) => {
+  const identity = await UserIdentity.findOne({
+    where: { provider: provider.id, subject: profile.subject },
+    transaction
+  });
+
+  if (identity) {
+    await identity.update({ lastLoginAt: new Date(), email: profile.email }, { transaction });
+    return { user: await User.findByPk(identity.userId, { transaction }), created: false, linked: false };
+  }
+
+  if (!profile.email || !profile.emailVerified) {
+    throw new OidcError(`${provider.name} did not confirm an email address for this account`, 403);
+  }
+
+  const existing = await User.findOne({ where: { email: profile.email }, transaction });
+  if (existing) {
+    // Linking to an unverified account would hand it to whoever registered
+    // the address first
+    if (!existing.email_verified_at) {
+      throw new OidcError(
+        'An account with this email exists but has not been verified. Verify it from the email we sent, ' +
+        `then sign in with ${provider.name} again.`,
+        409
+      );
+    }
+    if (await UserIdentity.findOne({ where: { userId: existing.id, provider: provider.id }, transaction })) {
+      throw new OidcError(`This account is already linked to a different ${provider.name} account`, 409);
+    }
+
+    await createIdentity(existing.id, provider, profile, transaction);
+    return { user: existing, created: false, linked: true };
+  }
+
+  const user = await User.create({
+    name: profile.name || profile.email.split('@')[0],
+    email: profile.email,
+    username: await generateUsername(profile.email, transaction),
+    password: null,
+    email_verified_at: new Date()
+  }, { transaction });
+
+  await createIdentity(user.id, provider, profile, transaction);
+  return { user, created: true, linked: true };
+});
+
+// Link a provider account to a user who is already logged in
+const linkIdentity = (userId, provider, profile) => sequelize.transaction(async (transaction) => {
+  const owner = await UserIdentity.findOne({
+    where: { provider: provider.id, subject: profile.subject },
+    transaction
+  });
+  if (owner) {
+    if (owner.userId === userId) {
+      return owner;
+    }
+    throw new OidcError(`This ${provider.name} account is linked to another user`, 409);
+  }
+
+  if (await UserIdentity.findOne({ where: { userId, provider: provider.id }, transaction })) {
+    throw new OidcError(`Unlink your current ${provider.name} account first`, 409);
+  }
+
+  return createIdentity(userId, provider, profile, transaction);
+});
+
+// Remove a linked provider, unless it is the user's only way to log in
+const unlinkIdentity = (userId, providerId) => sequelize.transaction(async (transaction) => {
+  const user = await User.findByPk(userId, { transaction, lock: transaction.LOCK.UPDATE });
+  const identities = await UserIdentity.findAll({ where: { userId }, transaction });
+  const identity = identities.find(entry => entry.provider === providerId);
+
+  if (!identity) {
+    throw new OidcError('No linked account for this provider', 404);
+  }
+  if (!user.password && identities.length === 1) {
+    throw new OidcError('Set a password or link another provider before removing your last way to log in');
+  }
+
+  await identity.destroy({ transaction });
+});
+
+const serializeIdentity = (identity) => ({
+  provider: identity.provider,
+  email: identity.email,
+  linkedAt: identity.createdAt,
+  lastLoginAt: identity.lastLoginAt
+});
+
+module.exports = {
+  resolveLoginUser,
+  linkIdentity,
+  unlinkIdentity,
+  serializeIdentity
+};
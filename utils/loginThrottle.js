@@ -0,0 +1,144 @@
+// Brute-force protection for login.
+//
+// Failed attempts are counted per client IP and per account (email) in the
+// attempt store (utils/attemptStore.js). After a few free attempts each
+// further failure doubles the wait before the next try. Reaching the limit
+// locks the account for LOGIN_LOCKOUT_MINUTES: the lock is saved on the user
+// (users.locked_until) so it survives restarts, and recorded as a
+// LockoutEvent. Emails without an account are throttled the same way so the
+// responses don't reveal which accounts exist. An IP that keeps failing
+// across many accounts is locked out as a whole.
+
+const { User, LockoutEvent } = require('../models');
+const { getAttemptStore } = require('./attemptStore');
+
+const envInt = (name, fallback) => parseInt(process.env[name] || fallback, 10);
+
+const ACCOUNT_MAX_FAILURES = envInt('LOGIN_MAX_FAILURES', '5');
+const IP_MAX_FAILURES = envInt('LOGIN_IP_MAX_FAILURES', '50');
+const LOCKOUT_MS = envInt('LOGIN_LOCKOUT_MINUTES', '15') * 60 * 1000;
+
+// Failures allowed before backoff starts
+const ACCOUNT_FREE_ATTEMPTS = 2;
+const IP_FREE_ATTEMPTS = 10;
+
+const BACKOFF_BASE_MS = 1000;
+
+// Counters are forgotten after this long without a new failure
+const ATTEMPT_TTL_MS = Math.max(LOCKOUT_MS, 15 * 60 * 1000);
+
+const accountKey = (email) => `login:account:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `login:ip:${ip}`;
+
+// Milliseconds a counter still makes the client wait
+const waitFor = (entry, freeAttempts, maxFailures) => {
+  if (!entry) {
+    return 0;
+  }
+  const delay = entry.count >= maxFailures
+    ? LOCKOUT_MS
+    : entry.count <= freeAttempts
+      ? 0
+      : Math.min(BACKOFF_BASE_MS * 2 ** (entry.count - freeAttempts - 1), LOCKOUT_MS);
+  return Math.max(0, entry.updatedAt + delay - Date.now());
+};
+
+/**
+ * Whether a login attempt may go ahead.
+ *
+ * @param {Object} attempt
+ * @param {string} attempt.ip
+ * @param {string} attempt.email - As submitted
+ * @param {User} [attempt.user] - The account, if the email belongs to one
+ * @returns {Promise<{allowed: boolean, retryAfter?: number}>} retryAfter in seconds
+ */
+const checkLoginAllowed = async ({ ip, email, user }) => {
+  const store = getAttemptStore();
+  const wait = Math.max(
+    waitFor(await store.get(ipKey(ip)), IP_FREE_ATTEMPTS, IP_MAX_FAILURES),
+    waitFor(await store.get(accountKey(email)), ACCOUNT_FREE_ATTEMPTS, ACCOUNT_MAX_FAILURES),
+    user && user.locked_until ? new Date(user.locked_until).getTime() - Date.now() : 0
+  );
+
+  return wait > 0
+    ? { allowed: false, retryAfter: Math.ceil(wait / 1000) }
+    : { allowed: true };
+};
+
+// Count a failed password or 2FA code, locking out when a limit is reached
+const recordLoginFailure = async ({ ip, email, user }) => {
+  const store = getAttemptStore();
+  const lockedUntil = new Date(Date.now() + LOCKOUT_MS);
+
+  const ipHits = await store.increment(ipKey(ip), ATTEMPT_TTL_MS);
+  if (ipHits.count === IP_MAX_FAILURES) {
+    console.warn(`Login lockout for IP ${ip} after ${ipHits.count} failed attempts`);
+    await LockoutEvent.create({ scope: 'ip', ipAddress: ip, failures: ipHits.count, lockedUntil });
+  }
+
+  const accountHits = await store.increment(accountKey(email), ATTEMPT_TTL_MS);
+  if (accountHits.count < ACCOUNT_MAX_FAILURES) {
+    return;
+  }
+
+  if (user) {
+    // The lock now lives on the user; start counting afresh after it
+    await User.update({ locked_until: lockedUntil }, { where: { id: user.id } });
+    await store.reset(accountKey(email));
+    console.warn(`Login lockout for user ${user.id} after ${accountHits.count} failed attempts`);
+    await LockoutEvent.create({
+      scope: 'account',
+      userId: user.id,
+      email: user.email,
+      ipAddress: ip,
+      failures: accountHits.count,
+      lockedUntil
+    });
+  } else if (accountHits.count === ACCOUNT_MAX_FAILURES) {
+    await LockoutEvent.create({
+      scope: 'account',
+      email: String(email).toLowerCase(),
+      ipAddress: ip,
+      failures: accountHits.count,
+      lockedUntil
+    });
+  }
+};
+
+// A completed login clears the account's failures. Only call this once every
+// factor has passed: clearing on the password alone would let someone who
+// knows it reset the counter between guesses at the 2FA code. The IP's
+// failures stay, so an attacker can't reset them by logging into their own
+// account.
+const recordLoginSuccess = async ({ email, user }) => {
+  await getAttemptStore().reset(accountKey(email));
+  if (user && user.locked_until) {
+    await User.update({ locked_until: null }, { where: { id: user.id } });
+  }
+};
+
+/**
+ * Lift an account lockout early (admin action).
+ *
+ * @returns {Promise<number>} Number of open lockout events closed
+ */
+const unlockAccount = async (user) => {
+  await User.update({ locked_until: null }, { where: { id: user.id } });
+  await getAttemptStore().reset(accountKey(user.email));
+
+  const [unlocked] = await LockoutEvent.update(
+    { unlockedAt: new Date() },
+    { where: { userId: user.id, unlockedAt: null } }
+  );
+  return unlocked;
+};
+
+module.exports = {
+  ACCOUNT_MAX_FAILURES,
+  IP_MAX_FAILURES,
+  LOCKOUT_MS,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount
+};
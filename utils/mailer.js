@@ -0,0 +1,85 @@
+// Outgoing email. The transport is picked from MAIL_TRANSPORT:
+//   smtp - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS. Point it at a
+//          local SMTP stand-in such as MailHog (localhost:1025) in development.
+//   file - write each message as an .eml file to MAIL_OUTBOX_DIR (default
+//          data/outbox). Used when no SMTP host is configured.
+// setTransport() swaps in any nodemailer-compatible transport, e.g. for tests.
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Student Expense Tracker <no-reply@localhost>';
+
+// Writes rendered messages to disk instead of sending them
+const createFileTransport = (directory) => {
+  const transport = nodemailer.createTransport({
+    streamTransport: true,
+    buffer: true,
+    newline: 'unix'
+  });
+
+  return {
+    async sendMail(message) {
+      const info = await transport.sendMail(message);
+      fs.mkdirSync(directory, { recursive: true });
+      const file = path.join(directory, `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`);
+      fs.writeFileSync(file, info.message);
+      return { ...info, file };
+    }
+  };
+};
+
+const createDefaultTransport = () => {
+  const mode = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file');
+
+  if (mode === 'smtp') {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT || '1025', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+
+  return createFileTransport(path.resolve(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'data', 'outbox')));
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createDefaultTransport();
+  }
+  return transport;
+};
+
+// Replace the transport (anything with sendMail(message) -> Promise)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email.
+ *
+ * @param {Object} message
+ * @param {string} message.to
+ * @param {string} message.subject
+ * @param {string} message.text - Plain-text body
+ * @param {string} [message.html]
+ */
+const sendMail = ({ to, subject, text, html }) => getTransport().sendMail({
+  from: MAIL_FROM,
+  to,
+  subject,
+  text,
+  html
+});
+
+module.exports = {
+  sendMail,
+  setTransport,
+  createFileTransport
+};
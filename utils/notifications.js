@@ -0,0 +1,221 @@
+// Notification centre: records notifications and delivers them over the
+// channels each user has chosen.
+//   in_app  - shown by GET /api/notifications
+//   email   - sent through utils/mailer.js
+//   webhook - JSON POST to the user's webhook URL, signed with HMAC-SHA256
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { Notification, NotificationPreference } = require('../models');
+const { sendMail } = require('./mailer');
+
+const CHANNELS = ['in_app', 'email', 'webhook'];
+
+// Notification types and the channels they use until the user says otherwise
+const DEFAULT_CHANNELS = {
+  budget_alert: ['in_app', 'email'],
+  team_invite: ['in_app', 'email'],
+  recurring_posted: ['in_app'],
+  weekly_digest: ['email']
+};
+
+const NOTIFICATION_TYPES = Object.keys(DEFAULT_CHANNELS);
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+// Webhooks are POSTed from the server, so they must not reach loopback,
+// link-local (cloud metadata) or private addresses. WEBHOOK_ALLOW_PRIVATE_HOSTS
+// lifts this for local development only.
+const ALLOW_PRIVATE_WEBHOOK_HOSTS =
+  process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true' && process.env.NODE_ENV !== 'production';
+
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address
+  const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) {
+    return blockedAddresses.check(mapped[1], 'ipv4');
+  }
+  return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Check that a webhook URL points at a public host. Names are resolved and
+ * every address they map to must be public.
+ *
+ * @returns {Promise<string|null>} Why the URL is refused, or null if it is allowed
+ */
+const checkWebhookUrl = async (webhookUrl) => {
+  let url;
+  try {
+    url = new URL(webhookUrl);
+  } catch (error) {
+    return 'Webhook URL must be an http(s) URL';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return 'Webhook URL must be an http(s) URL';
+  }
+  if (ALLOW_PRIVATE_WEBHOOK_HOSTS) {
+    return null;
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+    } catch (error) {
+      return 'Webhook host could not be resolved';
+    }
+  }
+
+  return addresses.some(isBlockedAddress)
+    ? 'Webhook URL must point to a public host, not a local or private address'
+    : null;
+};
+
+// Channels for one type, given the user's preference row (may be null)
+const resolveChannels = (preference, type) => {
+  const configured = preference && preference.channels ? preference.channels[type] : undefined;
+  const channels = Array.isArray(configured) ? configured : (DEFAULT_CHANNELS[type] || ['in_app']);
+  return channels.filter(channel => CHANNELS.includes(channel));
+};
+
+const getChannels = async (userId, type) => resolveChannels(
+  await NotificationPreference.findOne({ where: { userId } }),
+  type
+);
+
+const signPayload = (body, secret) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+const sendWebhook = async (preference, payload) => {
+  const body = JSON.stringify(payload);
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Notification-Type': payload.type
+  };
+  if (preference.webhookSecret) {
+    headers['X-Signature'] = signPayload(body, preference.webhookSecret);
+  }
+
+  // Checked again on every send: the host's DNS may have changed since
+  const refused = await checkWebhookUrl(preference.webhookUrl);
+  if (refused) {
+    throw new Error(refused);
+  }
+
+  const response = await fetch(preference.webhookUrl, {
+    method: 'POST',
+    headers,
+    body,
+    // A redirect could lead to an internal address
+    redirect: 'error',
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Webhook responded with ${response.status}`);
+  }
+};
+
+// Deliver over email and webhook. Failures are logged per channel so one
+// broken channel does not stop the others.
+const deliverExternal = async (user, notification, preference, channels) => {
+  const payload = {
+    id: notification.id,
+    type: notification.type,
+    title: notification.title,
+    message: notification.message,
+    data: notification.data,
+    createdAt: notification.createdAt
+  };
+
+  if (channels.includes('email') && user.email) {
+    try {
+      await sendMail({
+        to: user.email,
+        subject: notification.title,
+        text: notification.message
+      });
+    } catch (error) {
+      console.error(`Error emailing notification ${notification.id}:`, error.message);
+    }
+  }
+
+  if (channels.includes('webhook') && preference && preference.webhookUrl) {
+    try {
+      await sendWebhook(preference, payload);
+    } catch (error) {
+      console.error(`Error posting notification ${notification.id} to webhook:`, error.message);
+    }
+  }
+};
+
+/**
+ * Record a notification for a user and deliver it over their channels.
+ * With a dedupeKey the notification is recorded at most once; repeats
+ * return null and are not delivered again.
+ *
+ * The record is always kept (it is the audit trail and the dedupe marker).
+ * When the user turned off in_app for this type it is stored dismissed.
+ *
+ * @param {Object} user - At least id and email
+ * @param {Object} notification - type, title, message, data, dedupeKey
+ * @returns {Promise<Notification|null>}
+ */
+const notify = async (user, { type, title, message, data = null, dedupeKey = null }) => {
+  const preference = await NotificationPreference.findOne({ where: { userId: user.id } });
+  const channels = resolveChannels(preference, type);
+  const values = {
+    type,
+    title,
+    message,
+    data,
+    dismissedAt: channels.includes('in_app') ? null : new Date()
+  };
+
+  let notification;
+  if (dedupeKey) {
+    const [record, created] = await Notification.findOrCreate({
+      where: { userId: user.id, dedupeKey },
+      defaults: values
+    });
+    if (!created) {
+      return null;
+    }
+    notification = record;
+  } else {
+    notification = await Notification.create({ userId: user.id, ...values });
+  }
+
+  // Email and webhooks can be slow; don't hold up the caller
+  deliverExternal(user, notification, preference, channels).catch(error => {
+    console.error(`Error delivering notification ${notification.id}:`, error.message);
+  });
+
+  return notification;
+};
+
+module.exports = {
+  CHANNELS,
+  DEFAULT_CHANNELS,
+  NOTIFICATION_TYPES,
+  ALLOW_PRIVATE_WEBHOOK_HOSTS,
+  checkWebhookUrl,
+  resolveChannels,
+  getChannels,
+  signPayload,
+  notify
+};
@@ -0,0 +1,313 @@
+// Single sign-on through OpenID Connect (Google, any standard issuer) and
+// GitHub's OAuth2 flow, which has no ID token and reports emails separately.
+//
+// Providers are configured from the environment:
+//   OIDC_PROVIDERS=google,github          providers to offer, in order
+//   OIDC_<ID>_CLIENT_ID / _CLIENT_SECRET  app credentials at the provider
+//   OIDC_<ID>_ISSUER                      issuer URL (required for providers
+//                                         other than google and github)
+//   OIDC_<ID>_SCOPE, OIDC_<ID>_NAME       optional overrides
+// Pointing OIDC_GOOGLE_ISSUER (or a provider of your own) at
+// scripts/mockOidcIssuer.js lets the whole flow run locally.
+//
+// The browser is sent to the provider and comes back to the frontend
+// (APP_URL/login/oauth/<id>), which posts the code and state to the API.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { normalizeEmail } = require('validator');
+
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+const HTTP_TIMEOUT_MS = 10 * 1000;
+
+// How long cached discovery documents and signing keys are trusted
+const METADATA_TTL_MS = 60 * 60 * 1000;
+
+const PRESETS = {
+  google: {
+    name: 'Google',
+    type: 'oidc',
+    issuer: 'https://accounts.google.com',
+    scope: 'openid email profile'
+  },
+  github: {
+    name: 'GitHub',
+    type: 'github',
+    authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+    tokenEndpoint: 'https://github.com/login/oauth/access_token',
+    apiUrl: 'https://api.github.com',
+    scope: 'read:user user:email'
+  }
+};
+
+class OidcError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'OidcError';
+    this.status = status;
+  }
+}
+
+const envFor = (id, key) => process.env[`OIDC_${id.toUpperCase()}_${key}`];
+
+const loadProviders = () => {
+  const providers = new Map();
+  const ids = (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(Boolean);
+
+  for (const id of ids) {
+    const preset = PRESETS[id] || { name: id, type: 'oidc', scope: 'openid email profile' };
+    const provider = {
+      ...preset,
+      id,
+      name: envFor(id, 'NAME') || preset.name,
+      clientId: envFor(id, 'CLIENT_ID'),
+      clientSecret: envFor(id, 'CLIENT_SECRET'),
+      scope: envFor(id, 'SCOPE') || preset.scope
+    };
+    if (envFor(id, 'ISSUER')) {
+      // A custom issuer is always a standard OIDC provider (e.g. a mock)
+      provider.issuer = envFor(id, 'ISSUER').replace(/\/+$/, '');
+      provider.type = 'oidc';
+    }
+
+    if (!provider.clientId || !provider.clientSecret || (provider.type === 'oidc' && !provider.issuer)) {
+      console.warn(`⚠️  OIDC provider "${id}" is missing its client id, secret or issuer; skipping it`);
+      continue;
+    }
+    providers.set(id, provider);
+  }
+
+  return providers;
+};
+
+const providers = loadProviders();
+
+const listProviders = () => [...providers.values()].map(({ id, name }) => ({ id, name }));
+
+const getProvider = (id) => {
+  const provider = providers.get(String(id).toLowerCase());
+  if (!provider) {
+    throw new OidcError('Unknown or unconfigured login provider', 404);
+  }
+  return provider;
+};
+
+const redirectUriFor = (provider) => `${APP_URL}/login/oauth/${provider.id}`;
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const randomToken = () => base64url(crypto.randomBytes(32));
+
+// PKCE (RFC 7636): the verifier stays on our side, the provider sees its hash
+const codeChallengeFor = (verifier) => base64url(crypto.createHash('sha256').update(verifier).digest());
+
+const requestJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      ...options,
+      headers: { Accept: 'application/json', ...options.headers },
+      signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw new OidcError(`Could not reach the login provider: ${error.message}`, 502);
+  }
+
+  const body = await response.json().catch(() => null);
+  // OAuth errors (e.g. an expired code) come back as a 400 with an error code
+  if (response.status === 400 && body && body.error) {
+    throw new OidcError(body.error_description || `Login provider error: ${body.error}`);
+  }
+  if (!response.ok || !body) {
+    throw new OidcError(`Login provider responded with ${response.status}`, 502);
+  }
+  return body;
+};
+
+const metadataCache = new Map();
+
+const cached = async (key, load, { refresh = false } = {}) => {
+  const entry = metadataCache.get(key);
+  if (!refresh && entry && entry.expiresAt > Date.now()) {
+    return entry.value;
+  }
+  const value = await load();
+  metadataCache.set(key, { value, expiresAt: Date.now() + METADATA_TTL_MS });
+  return value;
+};
+
+const discover = (provider) => cached(`discovery:${provider.id}`, async () => {
+  const metadata = await requestJson(`${provider.issuer}/.well-known/openid-configuration`);
+  if (metadata.issuer !== provider.issuer) {
+    throw new OidcError(`Issuer mismatch in discovery document for ${provider.id}`, 502);
+  }
+  return metadata;
+});
+
+const getEndpoints = async (provider) => {
+  if (provider.type !== 'oidc') {
+    return {
+      authorizationEndpoint: provider.authorizationEndpoint,
+      tokenEndpoint: provider.tokenEndpoint
+    };
+  }
+
+  const metadata = await discover(provider);
+  return {
+    authorizationEndpoint: metadata.authorization_endpoint,
+    tokenEndpoint: metadata.token_endpoint,
+    jwksUri: metadata.jwks_uri
+  };
+};
+
+/**
+ * Start a login: the URL to send the browser to, plus the values that must
+ * come back with the callback (kept by the caller, see routes/auth.js).
+ *
+ * @returns {Promise<{url: string, state: string, nonce: string, codeVerifier: string}>}
+ */
+const createAuthorizationRequest = async (provider) => {
+  const { authorizationEndpoint } = await getEndpoints(provider);
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+
+  const url = new URL(authorizationEndpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.clientId);
+  url.searchParams.set('redirect_uri', redirectUriFor(provider));
+  url.searchParams.set('scope', provider.scope);
+  url.searchParams.set('state', state);
+  if (provider.type === 'oidc') {
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallengeFor(codeVerifier));
+    url.searchParams.set('code_challenge_method', 'S256');
+  }
+
+  return { url: url.toString(), state, nonce, codeVerifier };
+};
+
+const exchangeCode = async (provider, code, codeVerifier) => {
+  const { tokenEndpoint } = await getEndpoints(provider);
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUriFor(provider),
+    client_id: provider.clientId,
+    client_secret: provider.clientSecret
+  });
+  if (provider.type === 'oidc') {
+    params.set('code_verifier', codeVerifier);
+  }
+
+  const tokens = await requestJson(tokenEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: params.toString()
+  });
+
+  // GitHub reports a bad code with a 200 and an error field
+  if (tokens.error || !tokens.access_token) {
+    throw new OidcError(tokens.error_description || 'The login provider rejected the authorization code');
+  }
+  return tokens;
+};
+
+const getSigningKey = async (provider, jwksUri, kid) => {
+  const load = () => requestJson(jwksUri);
+  let jwks = await cached(`jwks:${provider.id}`, load);
+  let jwk = jwks.keys && jwks.keys.find(key => key.kid === kid);
+
+  // Providers rotate keys; fetch again once before giving up
+  if (!jwk) {
+    jwks = await cached(`jwks:${provider.id}`, load, { refresh: true });
+    jwk = jwks.keys && jwks.keys.find(key => key.kid === kid);
+  }
+  if (!jwk) {
+    throw new OidcError('ID token is signed with an unknown key');
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const { jwksUri } = await getEndpoints(provider);
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new OidcError('Login provider returned a malformed ID token');
+  }
+
+  const key = await getSigningKey(provider, jwksUri, decoded.header.kid);
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256', 'ES256'],
+      issuer: provider.issuer,
+      audience: provider.clientId
+    });
+  } catch (error) {
+    throw new OidcError(`Invalid ID token: ${error.message}`);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new OidcError('ID token nonce does not match this login');
+  }
+  return claims;
+};
+
+// Same rules as the normalizeEmail() that register and login apply, so a
+// provider address matches the account it was stored as (Gmail dots and
+// +subaddresses removed, lowercased)
+const normalizeProviderEmail = (email) => (email ? normalizeEmail(String(email)) || null : null);
+
+const fetchGithubProfile = async (provider, accessToken) => {
+  const headers = { Authorization: `Bearer ${accessToken}` };
+  const [profile, emails] = await Promise.all([
+    requestJson(`${provider.apiUrl}/user`, { headers }),
+    requestJson(`${provider.apiUrl}/user/emails`, { headers })
+  ]);
+  const primary = emails.find(entry => entry.primary) || emails.find(entry => entry.verified);
+
+  return {
+    subject: String(profile.id),
+    email: primary ? normalizeProviderEmail(primary.email) : null,
+    emailVerified: !!(primary && primary.verified),
+    name: profile.name || profile.login
+  };
+};
+
+/**
+ * Finish a login: exchange the code and return who the provider says the
+ * user is. Only emailVerified addresses may be used to match accounts.
+ *
+ * @returns {Promise<{subject: string, email: string|null, emailVerified: boolean, name: string|null}>}
+ */
+const completeAuthorization = async (provider, { code, codeVerifier, nonce }) => {
+  const tokens = await exchangeCode(provider, code, codeVerifier);
+
+  if (provider.type === 'github') {
+    return fetchGithubProfile(provider, tokens.access_token);
+  }
+
+  if (!tokens.id_token) {
+    throw new OidcError('Login provider did not return an ID token', 502);
+  }
+  const claims = await verifyIdToken(provider, tokens.id_token, nonce);
+
+  return {
+    subject: String(claims.sub),
+    email: normalizeProviderEmail(claims.email),
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || null
+  };
+};
+
+module.exports = {
+  OidcError,
+  listProviders,
+  getProvider,
+  createAuthorizationRequest,
+  completeAuthorization
+};
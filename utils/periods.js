@@ -0,0 +1,129 @@
+// Calendar helpers for budget periods.
+// Dates are handled as 'YYYY-MM-DD' strings and UTC midnights so results
+// don't shift with the server's timezone.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const BUDGET_PERIODS = ['weekly', 'monthly', 'quarterly', 'yearly'];
+
+// Parse 'YYYY-MM-DD' (or anything Date understands) into a UTC midnight
+const parseDateOnly = (value) => {
+  if (value instanceof Date) {
+    return new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()));
+  }
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+  if (match) {
+    return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  }
+  const parsed = new Date(value);
+  return isNaN(parsed.getTime())
+    ? parsed
+    : new Date(Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate()));
+};
+
+const formatDateOnly = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// ISO 8601 week number and week-year (weeks start on Monday)
+const getIsoWeek = (date) => {
+  const thursday = addDays(date, 3 - ((date.getUTCDay() + 6) % 7));
+  const weekYear = thursday.getUTCFullYear();
+  const firstThursday = new Date(Date.UTC(weekYear, 0, 4));
+  const week = 1 + Math.round(
+    ((thursday - firstThursday) / DAY_MS - 3 + ((firstThursday.getUTCDay() + 6) % 7)) / 7
+  );
+  return { weekYear, week };
+};
+
+// First day of the period that contains `date`
+const startOfPeriod = (period, date) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+
+  switch (period) {
+    case 'weekly':
+      return addDays(date, -((date.getUTCDay() + 6) % 7));
+    case 'monthly':
+      return new Date(Date.UTC(year, month, 1));
+    case 'quarterly':
+      return new Date(Date.UTC(year, month - (month % 3), 1));
+    case 'yearly':
+      return new Date(Date.UTC(year, 0, 1));
+    default:
+      throw new Error(`Unknown budget period: ${period}`);
+  }
+};
+
+// First day of the period following the one starting at `start`
+const nextPeriodStart = (period, start) => {
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth();
+
+  switch (period) {
+    case 'weekly':
+      return addDays(start, 7);
+    case 'monthly':
+      return new Date(Date.UTC(year, month + 1, 1));
+    case 'quarterly':
+      return new Date(Date.UTC(year, month + 3, 1));
+    case 'yearly':
+      return new Date(Date.UTC(year + 1, 0, 1));
+    default:
+      throw new Error(`Unknown budget period: ${period}`);
+  }
+};
+
+const periodLabel = (period, start) => {
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth();
+
+  switch (period) {
+    case 'weekly': {
+      const { weekYear, week } = getIsoWeek(start);
+      return `${weekYear}-W${String(week).padStart(2, '0')}`;
+    }
+    case 'monthly':
+      return `${year}-${String(month + 1).padStart(2, '0')}`;
+    case 'quarterly':
+      return `${year}-Q${Math.floor(month / 3) + 1}`;
+    default:
+      return String(year);
+  }
+};
+
+/**
+ * Every calendar window of `period` that overlaps [from, to].
+ * Windows are whole periods, so the first and last may extend past the range.
+ *
+ * @param {string} period - One of BUDGET_PERIODS
+ * @param {string|Date} from - Range start (inclusive)
+ * @param {string|Date} to - Range end (inclusive)
+ * @returns {Array<{label: string, start: string, end: string}>}
+ */
+const getPeriodWindows = (period, from, to) => {
+  const rangeEnd = parseDateOnly(to);
+  const windows = [];
+
+  for (
+    let start = startOfPeriod(period, parseDateOnly(from));
+    start <= rangeEnd;
+    start = nextPeriodStart(period, start)
+  ) {
+    windows.push({
+      label: periodLabel(period, start),
+      start: formatDateOnly(start),
+      end: formatDateOnly(addDays(nextPeriodStart(period, start), -1))
+    });
+  }
+
+  return windows;
+};
+
+module.exports = {
+  BUDGET_PERIODS,
+  parseDateOnly,
+  formatDateOnly,
+  getIsoWeek,
+  getPeriodWindows
+};
@@ -0,0 +1,107 @@
+// Occurrence generation for recurring expense templates.
+// Works on 'YYYY-MM-DD' strings and UTC midnights, like utils/periods.js.
+
+const { parseDateOnly, formatDateOnly } = require('./periods');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Day N of a month, clamped to the month's last day (31 -> 30 Apr, 28/29 Feb)
+const clampedDate = (year, month, day) =>
+  new Date(Date.UTC(year, month, Math.min(day, daysInMonth(year, month))));
+
+/**
+ * Yield occurrence dates of a recurrence rule on or after `from`.
+ *
+ * @param {Object} rule
+ * @param {string} rule.frequency - One of FREQUENCIES
+ * @param {string} rule.startDate - First possible occurrence
+ * @param {string} [rule.endDate] - Last possible occurrence (inclusive)
+ * @param {number} [rule.dayOfMonth] - Day for monthly rules (defaults to the start date's day)
+ * @param {string} [from] - Only yield dates on or after this one
+ */
+function* iterateOccurrences(rule, from) {
+  const start = parseDateOnly(rule.startDate);
+  const end = rule.endDate ? parseDateOnly(rule.endDate) : null;
+  const fromDate = from && parseDateOnly(from) > start ? parseDateOnly(from) : start;
+
+  const withinEnd = (date) => !end || date <= end;
+
+  switch (rule.frequency) {
+    case 'daily': {
+      for (let date = fromDate; withinEnd(date); date = new Date(date.getTime() + DAY_MS)) {
+        yield formatDateOnly(date);
+      }
+      return;
+    }
+
+    case 'weekly': {
+      // Same weekday as the start date
+      const offset = Math.round((fromDate - start) / DAY_MS) % 7;
+      let date = new Date(fromDate.getTime() + ((7 - offset) % 7) * DAY_MS);
+      for (; withinEnd(date); date = new Date(date.getTime() + 7 * DAY_MS)) {
+        yield formatDateOnly(date);
+      }
+      return;
+    }
+
+    case 'monthly': {
+      const day = rule.dayOfMonth || start.getUTCDate();
+      let year = fromDate.getUTCFullYear();
+      let month = fromDate.getUTCMonth();
+      for (;;) {
+        const date = clampedDate(year, month, day);
+        if (!withinEnd(date)) return;
+        if (date >= fromDate) yield formatDateOnly(date);
+        month += 1;
+        if (month === 12) {
+          month = 0;
+          year += 1;
+        }
+      }
+    }
+
+    case 'yearly': {
+      const month = start.getUTCMonth();
+      const day = start.getUTCDate();
+      for (let year = fromDate.getUTCFullYear(); ; year++) {
+        const date = clampedDate(year, month, day);
+        if (!withinEnd(date)) return;
+        if (date >= fromDate) yield formatDateOnly(date);
+      }
+    }
+
+    default:
+      throw new Error(`Unknown recurrence frequency: ${rule.frequency}`);
+  }
+}
+
+// All occurrences between `from` and `to` (inclusive)
+const getOccurrencesBetween = (rule, from, to) => {
+  const limit = formatDateOnly(parseDateOnly(to));
+  const dates = [];
+  for (const date of iterateOccurrences(rule, from)) {
+    if (date > limit) break;
+    dates.push(date);
+  }
+  return dates;
+};
+
+// The next `count` occurrences on or after `from`
+const getNextOccurrences = (rule, from, count) => {
+  const dates = [];
+  for (const date of iterateOccurrences(rule, from)) {
+    if (dates.length >= count) break;
+    dates.push(date);
+  }
+  return dates;
+};
+
+module.exports = {
+  FREQUENCIES,
+  iterateOccurrences,
+  getOccurrencesBetween,
+  getNextOccurrences
+};
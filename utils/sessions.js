@@ -0,0 +1,200 @@
+// Login sessions, access tokens and refresh tokens.
+//
+// Logging in creates a Session (one per device) and returns two tokens:
+//   - a short-lived access JWT carrying the user id and session id (sid)
+//   - an opaque refresh token, stored hashed, that buys a new token pair
+// Each refresh token works once. Presenting one that was already used means
+// it was copied, so the whole session is revoked (reuse detection).
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { Session, RefreshToken, User, sequelize } = require('../models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES || '15', 10) * 60;
+const REFRESH_TOKEN_TTL_MS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10) * DAY_MS;
+
+class SessionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionError';
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Device details recorded on the session
+const clientInfo = (req) => ({
+  userAgent: (req.get('User-Agent') || '').slice(0, 500) || null,
+  ipAddress: req.ip || null
+});
+
+const signAccessToken = (user, session) => {
+  if (!process.env.JWT_SECRET) {
+    console.error('JWT_SECRET is not set in environment variables');
+    throw new Error('Server configuration error');
+  }
+
+  return jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      sid: session.id
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+};
+
+const issueRefreshToken = async (session, transaction) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  await RefreshToken.create({
+    sessionId: session.id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  }, { transaction });
+  return token;
+};
+
+/**
+ * Start a session for a user who just authenticated.
+ *
+ * @returns {Promise<{session: Session, accessToken: string, refreshToken: string}>}
+ */
+const createSession = (user, req) => sequelize.transaction(async (transaction) => {
+  const session = await Session.create({
+    userId: user.id,
+    ...clientInfo(req),
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  }, { transaction });
+
+  return {
+    session,
+    accessToken: signAccessToken(user, session),
+    refreshToken: await issueRefreshToken(session, transaction)
+  };
+});
+
+const revokeSession = (session, reason, transaction) => session.update({
+  revokedAt: new Date(),
+  revokedReason: reason
+}, { transaction });
+
+/**
+ * Revoke every open session of a user, optionally keeping the current one.
+ *
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, reason, { exceptSessionId = null, transaction } = {}) => {
+  const where = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    where.id = { [Op.ne]: exceptSessionId };
+  }
+
+  const [revoked] = await Session.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where, transaction }
+  );
+  return revoked;
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * Throws SessionError when the token is unknown, expired, already used or
+ * belongs to a revoked session.
+ *
+ * @returns {Promise<{user: User, session: Session, accessToken: string, refreshToken: string}>}
+ */
+const rotateRefreshToken = async (token, req) => {
+  const result = await sequelize.transaction(async (transaction) => {
+    const now = new Date();
+    const record = await RefreshToken.findOne({
+      where: { tokenHash: hashToken(token) },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!record) {
+      return { error: 'Invalid refresh token' };
+    }
+
+    const session = await Session.findByPk(record.sessionId, { transaction });
+
+    // Returned rather than thrown so the revocation is committed
+    if (record.usedAt) {
+      if (!session.revokedAt) {
+        await revokeSession(session, 'token_reuse', transaction);
+        console.warn(`Refresh token reuse detected; revoked session ${session.id} of user ${session.userId}`);
+      }
+      return { error: 'Refresh token has already been used. Please log in again.' };
+    }
+
+    if (session.revokedAt) {
+      return { error: 'Session has been revoked. Please log in again.' };
+    }
+
+    if (record.expiresAt <= now || session.expiresAt <= now) {
+      return { error: 'Session has expired. Please log in again.' };
+    }
+
+    const user = await User.findByPk(session.userId, {
+      attributes: { exclude: ['password'] },
+      transaction
+    });
+
+    if (!user || !user.is_active) {
+      await revokeSession(session, 'account_inactive', transaction);
+      return { error: 'Account is inactive. Please contact support.' };
+    }
+
+    await record.update({ usedAt: now }, { transaction });
+
+    // Expired tokens can no longer be replayed, so there is nothing to detect
+    await RefreshToken.destroy({
+      where: { sessionId: session.id, expiresAt: { [Op.lt]: now } },
+      transaction
+    });
+
+    await session.update({
+      ...clientInfo(req),
+      lastSeenAt: now,
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+    }, { transaction });
+
+    return {
+      user,
+      session,
+      accessToken: signAccessToken(user, session),
+      refreshToken: await issueRefreshToken(session, transaction)
+    };
+  });
+
+  if (result.error) {
+    throw new SessionError(result.error);
+  }
+  return result;
+};
+
+// The session a refresh token belongs to, whether or not the token was used
+const findSessionByRefreshToken = async (token) => {
+  const record = await RefreshToken.findOne({
+    where: { tokenHash: hashToken(token) },
+    include: [{ model: Session, as: 'session' }]
+  });
+  return record ? record.session : null;
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_MS,
+  SessionError,
+  signAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  findSessionByRefreshToken
+};
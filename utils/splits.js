@@ -0,0 +1,136 @@
+// Split calculation for shared expenses.
+// All arithmetic is done in integer cents so the portions always add up
+// to the expense total exactly.
+
+const SPLIT_TYPES = ['equal', 'percentage', 'exact', 'shares'];
+
+class SplitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SplitError';
+  }
+}
+
+const toCents = (value) => Math.round(parseFloat(value) * 100);
+const fromCents = (cents) => cents / 100;
+
+// Distribute totalCents proportionally to weights using the largest
+// remainder method, so rounding never loses or invents a cent.
+const allocateByWeight = (totalCents, weights) => {
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  const raw = weights.map(weight => (totalCents * weight) / weightSum);
+  const allocated = raw.map(Math.floor);
+
+  let remainder = totalCents - allocated.reduce((sum, cents) => sum + cents, 0);
+  const order = raw
+    .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+    .sort((a, b) => b.fraction - a.fraction || a.index - b.index);
+
+  for (let i = 0; remainder > 0; i = (i + 1) % order.length, remainder--) {
+    allocated[order[i].index] += 1;
+  }
+
+  return allocated;
+};
+
+const parseValue = (participant, label) => {
+  const value = parseFloat(participant.value);
+  if (participant.value === undefined || participant.value === null || isNaN(value)) {
+    throw new SplitError(`Participant ${participant.userId} needs a numeric ${label}`);
+  }
+  if (value < 0) {
+    throw new SplitError(`Participant ${participant.userId} has a negative ${label}`);
+  }
+  return value;
+};
+
+/**
+ * Work out how much each participant owes for a shared expense.
+ *
+ * @param {number|string} total - Expense amount
+ * @param {string} type - One of SPLIT_TYPES
+ * @param {Array<{userId: number, value?: number}>} participants - `value` is the
+ *   percentage, exact amount or share weight depending on `type` (ignored for equal)
+ * @returns {Array<{userId: number, shareValue: number|null, amount: number}>}
+ */
+const calculateSplit = (total, type, participants) => {
+  if (!SPLIT_TYPES.includes(type)) {
+    throw new SplitError(`Split type must be one of: ${SPLIT_TYPES.join(', ')}`);
+  }
+
+  if (!Array.isArray(participants) || participants.length === 0) {
+    throw new SplitError('At least one participant is required');
+  }
+
+  if (participants.some(participant => !participant || typeof participant !== 'object')) {
+    throw new SplitError('Every participant must be an object with a userId');
+  }
+
+  const userIds = participants.map(participant => parseInt(participant.userId, 10));
+  if (userIds.some(isNaN)) {
+    throw new SplitError('Every participant needs a valid userId');
+  }
+  if (new Set(userIds).size !== userIds.length) {
+    throw new SplitError('A participant can only appear once in a split');
+  }
+
+  const totalCents = toCents(total);
+  if (isNaN(totalCents) || totalCents <= 0) {
+    throw new SplitError('Split total must be greater than 0');
+  }
+
+  let values;
+  let cents;
+
+  switch (type) {
+    case 'equal':
+      values = participants.map(() => null);
+      cents = allocateByWeight(totalCents, participants.map(() => 1));
+      break;
+
+    case 'percentage': {
+      values = participants.map(participant => parseValue(participant, 'percentage'));
+      const percentSum = values.reduce((sum, value) => sum + value, 0);
+      if (Math.abs(percentSum - 100) > 0.05) {
+        throw new SplitError(`Percentages must add up to 100 (got ${percentSum})`);
+      }
+      cents = allocateByWeight(totalCents, values);
+      break;
+    }
+
+    case 'exact': {
+      values = participants.map(participant => parseValue(participant, 'amount'));
+      cents = values.map(toCents);
+      const exactSum = cents.reduce((sum, value) => sum + value, 0);
+      if (exactSum !== totalCents) {
+        throw new SplitError(
+          `Exact amounts must add up to the expense total of ${fromCents(totalCents)} (got ${fromCents(exactSum)})`
+        );
+      }
+      break;
+    }
+
+    case 'shares': {
+      values = participants.map(participant => parseValue(participant, 'share weight'));
+      if (values.every(value => value === 0)) {
+        throw new SplitError('At least one participant needs a share weight above 0');
+      }
+      cents = allocateByWeight(totalCents, values);
+      break;
+    }
+  }
+
+  return userIds.map((userId, index) => ({
+    userId,
+    shareValue: values[index],
+    amount: fromCents(cents[index])
+  }));
+};
+
+module.exports = {
+  SPLIT_TYPES,
+  SplitError,
+  calculateSplit,
+  toCents,
+  fromCents
+};
@@ -0,0 +1,107 @@
+const { Op } = require('sequelize');
+const { Tag, ExpenseTag } = require('../models');
+
+const TAG_MODES = ['any', 'all'];
+const MAX_TAG_LENGTH = 50;
+
+class TagError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TagError';
+  }
+}
+
+// Tags are lower-case with whitespace turned into dashes: "Trip Goa" -> "trip-goa"
+const normalizeTagName = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, '-');
+
+// Distinct, normalised tag names from an array or comma-separated string
+const parseTagNames = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  const names = (Array.isArray(value) ? value : String(value).split(','))
+    .map(normalizeTagName)
+    .filter(Boolean);
+  return [...new Set(names)];
+};
+
+// Find the user's tags by name, creating the ones that do not exist yet
+const findOrCreateTags = async (userId, names, transaction) => {
+  if (names.length === 0) {
+    return [];
+  }
+
+  const tooLong = names.find(name => name.length > MAX_TAG_LENGTH);
+  if (tooLong) {
+    throw new TagError(`Tag "${tooLong.slice(0, 20)}..." is longer than ${MAX_TAG_LENGTH} characters`);
+  }
+
+  await Tag.bulkCreate(
+    names.map(name => ({ userId, name })),
+    { validate: true, ignoreDuplicates: true, transaction }
+  );
+
+  return Tag.findAll({
+    where: { userId, name: { [Op.in]: names } },
+    transaction
+  });
+};
+
+const addTagsToExpenses = (expenseIds, tags, transaction) => ExpenseTag.bulkCreate(
+  expenseIds.flatMap(expenseId => tags.map(tag => ({ expenseId, tagId: tag.id }))),
+  { ignoreDuplicates: true, transaction }
+);
+
+const removeTagsFromExpenses = (expenseIds, tags, transaction) => ExpenseTag.destroy({
+  where: {
+    expenseId: { [Op.in]: expenseIds },
+    tagId: { [Op.in]: tags.map(tag => tag.id) }
+  },
+  transaction
+});
+
+// Replace all tags on one expense
+const setExpenseTags = async (userId, expenseId, names, transaction) => {
+  const tags = await findOrCreateTags(userId, names, transaction);
+  await ExpenseTag.destroy({
+    where: {
+      expenseId,
+      ...(tags.length > 0 ? { tagId: { [Op.notIn]: tags.map(tag => tag.id) } } : {})
+    },
+    transaction
+  });
+  await addTagsToExpenses([expenseId], tags, transaction);
+  return tags;
+};
+
+// expenseId -> [tag names] for a set of expenses
+const loadExpenseTags = async (expenseIds) => {
+  const byExpense = new Map(expenseIds.map(id => [id, []]));
+  if (expenseIds.length === 0) {
+    return byExpense;
+  }
+
+  const links = await ExpenseTag.findAll({
+    where: { expenseId: { [Op.in]: expenseIds } },
+    include: [{ model: Tag, as: 'tag', attributes: ['name'] }],
+    order: [[{ model: Tag, as: 'tag' }, 'name', 'ASC']]
+  });
+
+  links.forEach(link => {
+    byExpense.get(link.expenseId).push(link.tag.name);
+  });
+
+  return byExpense;
+};
+
+module.exports = {
+  TAG_MODES,
+  TagError,
+  normalizeTagName,
+  parseTagNames,
+  findOrCreateTags,
+  addTagsToExpenses,
+  removeTagsFromExpenses,
+  setExpenseTags,
+  loadExpenseTags
+};
@@ -0,0 +1,152 @@
+// TOTP two-factor authentication for accounts.
+// Secrets are kept AES-256-GCM encrypted (key from TOTP_ENCRYPTION_KEY, or
+// derived from JWT_SECRET) because, unlike passwords, they must be readable
+// to check codes. Backup codes are single-use and stored hashed.
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, BackupCode } = require('../models');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('./totp');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Student Expense Tracker';
+const BACKUP_CODE_COUNT = 10;
+
+const encryptionKey = () => {
+  const material = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!material) {
+    throw new Error('TOTP_ENCRYPTION_KEY or JWT_SECRET must be set to use two-factor authentication');
+  }
+  return crypto.createHash('sha256').update(material).digest();
+};
+
+// 'v1:<iv>:<auth tag>:<ciphertext>', all base64
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return ['v1', iv, cipher.getAuthTag(), encrypted].map(part =>
+    Buffer.isBuffer(part) ? part.toString('base64') : part
+  ).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [version, iv, tag, encrypted] = String(stored).split(':');
+  if (version !== 'v1') {
+    throw new Error('Unsupported TOTP secret format');
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+};
+
+const isTwoFactorEnabled = (user) => Boolean(user.totp_enabled_at);
+
+/**
+ * Start (or restart) enrolment: store a new pending secret for the user.
+ * 2FA is not enforced until the user confirms a code from it.
+ *
+ * @returns {Promise<{secret: string, otpauthUrl: string}>}
+ */
+const startEnrolment = async (user) => {
+  const secret = generateSecret();
+  await User.update(
+    { totp_secret: encryptSecret(secret), totp_enabled_at: null, totp_last_step: null },
+    { where: { id: user.id } }
+  );
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUrl({ secret, account: user.email, issuer: TOTP_ISSUER })
+  };
+};
+
+// Backup codes look like 'k3f9a-7qzmd'; matching ignores case and the dash
+const normalizeBackupCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashBackupCode = (code) => crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+
+const randomBackupCode = () => {
+  const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+  const chars = Array.from({ length: 10 }, () => alphabet[crypto.randomInt(alphabet.length)]);
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+};
+
+/**
+ * Replace the user's backup codes with a fresh set.
+ *
+ * @returns {Promise<string[]>} The raw codes, to be shown to the user once
+ */
+const generateBackupCodes = async (userId, transaction) => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, randomBackupCode);
+
+  await BackupCode.destroy({ where: { userId }, transaction });
+  await BackupCode.bulkCreate(
+    codes.map(code => ({ userId, codeHash: hashBackupCode(code) })),
+    { transaction }
+  );
+
+  return codes;
+};
+
+const countBackupCodes = (userId) => BackupCode.count({ where: { userId, usedAt: null } });
+
+// Atomically mark a backup code used; false if unknown or already used
+const consumeBackupCode = async (userId, code) => {
+  const [used] = await BackupCode.update(
+    { usedAt: new Date() },
+    { where: { userId, codeHash: hashBackupCode(code), usedAt: null } }
+  );
+  return used === 1;
+};
+
+// Check a TOTP code against the stored secret (pending or active) and
+// record its time step so the same code is not accepted twice
+const verifyTotp = async (user, code) => {
+  if (!user.totp_secret) {
+    return false;
+  }
+
+  const step = verifyCode(decryptSecret(user.totp_secret), code, {
+    afterStep: user.totp_last_step === null ? -1 : user.totp_last_step
+  });
+  if (step === null) {
+    return false;
+  }
+
+  // Conditional so two requests racing with the same code can't both pass
+  const [updated] = await User.update(
+    { totp_last_step: step },
+    {
+      where: {
+        id: user.id,
+        [Op.or]: [{ totp_last_step: null }, { totp_last_step: { [Op.lt]: step } }]
+      }
+    }
+  );
+  return updated === 1;
+};
+
+/**
+ * Check the second factor for a user with 2FA enabled: a 6-digit TOTP code
+ * or one of their backup codes.
+ *
+ * @returns {Promise<'totp'|'backup_code'|null>} How the user authenticated
+ */
+const verifySecondFactor = async (user, code) => {
+  if (/^\d{6}$/.test(String(code || '').replace(/\s/g, ''))) {
+    return (await verifyTotp(user, code)) ? 'totp' : null;
+  }
+  return (await consumeBackupCode(user.id, code)) ? 'backup_code' : null;
+};
+
+module.exports = {
+  BACKUP_CODE_COUNT,
+  encryptSecret,
+  decryptSecret,
+  isTwoFactorEnabled,
+  startEnrolment,
+  generateBackupCodes,
+  countBackupCodes,
+  verifyTotp,
+  verifySecondFactor
+};
@@ -0,0 +1,95 @@
+// One-time tokens for email verification, password resets and 2FA login
+// challenges. The raw token is handed to the user (by email, or in the login
+// response for challenges); the database keeps only its SHA-256 hash.
+// Tokens expire, and redeeming one marks it used so it cannot be replayed.
+// Issuing a new token supersedes older unused ones.
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { UserToken } = require('../models');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long each kind of token stays valid
+const TOKEN_TTL_MS = {
+  email_verification: 24 * HOUR_MS,
+  password_reset: HOUR_MS,
+  login_challenge: 5 * 60 * 1000
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Create a token for a user, invalidating any unused ones with the same purpose.
+ *
+ * @param {number} userId
+ * @param {string} purpose - email_verification, password_reset or login_challenge
+ * @returns {Promise<{token: string, expiresAt: Date}>} The raw token to send
+ */
+const issueUserToken = async (userId, purpose) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + TOKEN_TTL_MS[purpose]);
+
+  await UserToken.update(
+    { usedAt: new Date() },
+    { where: { userId, purpose, usedAt: null } }
+  );
+  await UserToken.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt
+  });
+
+  return { token, expiresAt };
+};
+
+// The unused, unexpired token record, without redeeming it
+const findUserToken = (token, purpose) => UserToken.findOne({
+  where: {
+    tokenHash: hashToken(token),
+    purpose,
+    usedAt: null,
+    expiresAt: { [Op.gt]: new Date() }
+  }
+});
+
+/**
+ * Redeem a token. The conditional update makes redemption atomic, so two
+ * concurrent requests with the same token cannot both succeed.
+ *
+ * @returns {Promise<number|null>} The token's user id, or null if the token
+ *   is unknown, expired or already used
+ */
+const consumeUserToken = async (token, purpose, transaction) => {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  const [redeemed] = await UserToken.update(
+    { usedAt: now },
+    {
+      where: {
+        tokenHash,
+        purpose,
+        usedAt: null,
+        expiresAt: { [Op.gt]: now }
+      },
+      transaction
+    }
+  );
+
+  if (redeemed === 0) {
+    return null;
+  }
+
+  const record = await UserToken.findOne({ where: { tokenHash }, transaction });
+  return record.userId;
+};
+
+module.exports = {
+  TOKEN_TTL_MS,
+  hashToken,
+  issueUserToken,
+  findUserToken,
+  consumeUserToken
+};
@@ -0,0 +1,31 @@
+const { TeamMember } = require('../models');
+
+// Resolve the workspace a user acts in and their role there.
+// A user with an active membership works in that team; everyone else
+// owns their own workspace.
+const resolveWorkspace = async (user) => {
+  const membership = await TeamMember.findOne({
+    where: { userId: user.id, status: 'active' }
+  });
+
+  if (membership) {
+    return { ownerId: membership.ownerId, role: membership.role, membership };
+  }
+
+  return { ownerId: user.id, role: 'owner', membership: null };
+};
+
+// IDs of every user in a workspace: the owner plus all active members
+const getWorkspaceUserIds = async (ownerId) => {
+  const members = await TeamMember.findAll({
+    where: { ownerId, status: 'active' },
+    attributes: ['userId']
+  });
+
+  return [ownerId, ...members.map(member => member.userId).filter(Boolean)];
+};
+
+module.exports = {
+  resolveWorkspace,
+  getWorkspaceUserIds
+};